@@ -0,0 +1,79 @@
+/**
+ * assets.js — Image Asset Lists and Preloading
+ *
+ * Lists every image the game shows (letter images from letterMap, level
+ * backgrounds and the page artwork) and preloads them before play, so
+ * letters never appear blank while their timers run. Letters whose image
+ * fails to load are excluded from the letter pool.
+ *
+ * The lists are shared with the service worker, so this module must not
+ * touch the DOM when it is imported.
+ */
+
+import { letterMap, getLetterImagePath, excludeLetter } from './letter.js';
+import { allLevels } from './levels.js';
+
+const IMAGE_TIMEOUT = 15000; // Time in ms before an image that has not loaded counts as failed
+
+/**
+ * Artwork used by the page and styles.
+ */
+const PAGE_IMAGES = [
+  '/images/bg/utg_homescreen_bg.png',
+  '/images/bg/utg_homescreen_rtitle.png',
+  '/images/bg/utg_homescreen_star.svg',
+  '/images/bg/utg_endscreen_bg.png',
+];
+
+/**
+ * Every image the game uses, without duplicates.
+ * @returns {string[]} Image URLs.
+ */
+export const getImageUrls = () => [...new Set([
+  ...Object.keys(letterMap).map(getLetterImagePath),
+  ...allLevels.map(({ background }) => background),
+  ...PAGE_IMAGES,
+])];
+
+/**
+ * Loads a single image.
+ * @param {string} url - Image URL.
+ * @returns {Promise<boolean>} True if the image loaded, false on error or timeout.
+ */
+const loadImage = (url) => new Promise(resolve => {
+  const img = new Image();
+  const timer = setTimeout(() => resolve(false), IMAGE_TIMEOUT);
+  img.onload = () => {
+    clearTimeout(timer);
+    resolve(true);
+  };
+  img.onerror = () => {
+    clearTimeout(timer);
+    resolve(false);
+  };
+  img.src = url;
+});
+
+/**
+ * Preloads every game image, reporting progress as each one settles.
+ * Letters whose image failed are excluded from the letter pool.
+ * @param {Function} onProgress - Called with (done, total) after each image.
+ * @returns {Promise<{failed: string[], excludedLetters: string[]}>} Failed image URLs and the letters excluded because of them.
+ */
+export const preloadAssets = async (onProgress = () => {}) => {
+  const letterByUrl = new Map(Object.keys(letterMap).map(char => [getLetterImagePath(char), char]));
+  const urls = getImageUrls();
+  let done = 0;
+  onProgress(done, urls.length);
+
+  const results = await Promise.all(urls.map(async url => {
+    const loaded = await loadImage(url);
+    onProgress(++done, urls.length);
+    return { url, loaded };
+  }));
+
+  const failed = results.filter(({ loaded }) => !loaded).map(({ url }) => url);
+  const excludedLetters = failed.filter(url => letterByUrl.has(url)).map(url => letterByUrl.get(url));
+  excludedLetters.forEach(excludeLetter);
+  return { failed, excludedLetters };
+};
@@ -0,0 +1,219 @@
+/**
+ * audio.js — Sound Effects and Letter Pronunciation
+ *
+ * Generates short feedback sounds with the Web Audio API, so no sound
+ * effect files need to be downloaded: a chime for a correct hit, a buzz
+ * for a miss, a warning tick while a letter flickers and a jingle at game
+ * over. Optionally plays a recorded pronunciation of each letter as it
+ * becomes active. Volume, mute and pronunciation preferences are kept
+ * in the shared Settings.
+ *
+ * The AudioContext is created lazily on first use because browsers only
+ * allow audio after a user gesture.
+ */
+
+import { getLetterAudioPath } from './letter.js';
+
+/**
+ * Notes (Hz) of the game over jingle, played one after another.
+ */
+const GAME_OVER_NOTES = [523.25, 659.25, 783.99, 1046.5];
+const PROBE_LETTER = 'ا'; // Letter whose clip tells whether pronunciation clips are installed
+
+export default class AudioManager {
+  /**
+   * @param {Settings} settings - Shared settings holding volume, mute and pronunciation.
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;     // Created on first playback
+    this.masterGain = null;  // Volume control shared by all generated sounds
+    this.clips = new Map();  // Pronunciation clip path -> HTMLAudioElement, or null if missing
+    this.hasClips = false;   // Whether pronunciation clips are installed, see detectPronunciation
+  }
+
+  /**
+   * Checks whether pronunciation clips are installed by requesting one.
+   * Until they are, letters are not pronounced and the toggles stay hidden.
+   * @returns {Promise<boolean>} True if the clips exist.
+   */
+  async detectPronunciation() {
+    try {
+      const response = await fetch(getLetterAudioPath(PROBE_LETTER));
+      this.hasClips = response.ok;
+    } catch {
+      this.hasClips = false;
+    }
+    return this.hasClips;
+  }
+
+  /**
+   * Get the shared AudioContext, creating it and the master gain when first needed.
+   * @returns {AudioContext|null} The context, or null if Web Audio is unsupported.
+   */
+  getContext() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return null;
+
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.masterGain.connect(this.context.destination);
+      this.applyVolume();
+    }
+    return this.context;
+  }
+
+  /**
+   * Applies the current volume and mute state to the master gain.
+   */
+  applyVolume() {
+    if (this.masterGain) this.masterGain.gain.value = this.isMuted() ? 0 : this.getVolume();
+  }
+
+  /**
+   * Set the volume and save it.
+   * @param {number} volume - Volume from 0 to 1.
+   */
+  setVolume(volume) {
+    this.settings.set('volume', Math.min(Math.max(volume, 0), 1));
+    this.applyVolume();
+  }
+
+  /**
+   * Get the current volume.
+   * @returns {number} Volume from 0 to 1.
+   */
+  getVolume() {
+    return this.settings.get('volume');
+  }
+
+  /**
+   * Mute or unmute all sounds and save the choice.
+   * @param {boolean} muted - Whether sound is muted.
+   */
+  setMuted(muted) {
+    this.settings.set('muted', muted);
+    this.applyVolume();
+  }
+
+  /**
+   * Whether all sounds are muted.
+   * @returns {boolean} True if muted.
+   */
+  isMuted() {
+    return this.settings.get('muted');
+  }
+
+  /**
+   * Turn letter pronunciation on or off and save the choice.
+   * @param {boolean} enabled - Whether to pronounce letters.
+   */
+  setPronunciationEnabled(enabled) {
+    this.settings.set('pronunciation', enabled);
+  }
+
+  /**
+   * Whether letters are pronounced when they become active.
+   * @returns {boolean} True if pronunciation is on.
+   */
+  isPronunciationEnabled() {
+    return this.settings.get('pronunciation');
+  }
+
+  /**
+   * Play a single tone that fades out over its duration.
+   * @param {number} frequency - Tone frequency in Hz.
+   * @param {number} duration - Tone length in seconds.
+   * @param {OscillatorType} type - Oscillator waveform.
+   * @param {number} delay - Time in seconds before the tone starts.
+   * @param {number} level - Peak loudness before the master volume, from 0 to 1.
+   */
+  playTone(frequency, duration, type = 'sine', delay = 0, level = 0.2) {
+    if (this.isMuted()) return;
+    const context = this.getContext();
+    if (!context) return;
+
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const start = context.currentTime + delay;
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(level, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain).connect(this.masterGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+
+  /**
+   * Plays the game's sounds from its events: pronunciation when a letter
+   * appears, hit, miss and flicker feedback, and the game over jingle.
+   * @param {UyghurTypingGame} game - Game to play sounds for.
+   */
+  connect(game) {
+    game.on('letterShown', ({ target }) => this.playPronunciation(target.keys));
+    game.on('hit', ({ complete }) => {
+      if (complete) this.playHit();
+    });
+    game.on('miss', () => this.playMiss());
+    game.on('flicker', () => this.playTick());
+    game.on('gameOver', () => this.playGameOver());
+  }
+
+  /**
+   * Play the rising two-note chime used for a correct hit.
+   */
+  playHit() {
+    this.playTone(880, 0.12, 'triangle');
+    this.playTone(1318.5, 0.18, 'triangle', 0.06);
+  }
+
+  /**
+   * Play the low buzz used for a wrong keystroke.
+   */
+  playMiss() {
+    this.playTone(160, 0.15, 'square');
+  }
+
+  /**
+   * Play the short tick used while a letter flickers before it falls.
+   */
+  playTick() {
+    this.playTone(1200, 0.04, 'square', 0, 0.08);
+  }
+
+  /**
+   * Play the ascending jingle used at game over.
+   */
+  playGameOver() {
+    GAME_OVER_NOTES.forEach((frequency, i) => {
+      this.playTone(frequency, 0.3, 'triangle', i * 0.15);
+    });
+  }
+
+  /**
+   * Play the recorded pronunciation of a letter if enabled and available.
+   * Missing clips are remembered so they are not requested again.
+   * @param {string} char - The letter to pronounce.
+   */
+  playPronunciation(char) {
+    if (!this.hasClips || this.isMuted() || !this.isPronunciationEnabled()) return;
+
+    const path = getLetterAudioPath(char);
+    if (!path || this.clips.get(path) === null) return;
+
+    if (!this.clips.has(path)) {
+      const clip = new Audio(path);
+      clip.addEventListener('error', () => this.clips.set(path, null));
+      this.clips.set(path, clip);
+    }
+
+    const clip = this.clips.get(path);
+    clip.volume = this.getVolume();
+    clip.currentTime = 0;
+    clip.play().catch(() => {}); // Ignore autoplay restrictions and missing files
+  }
+}
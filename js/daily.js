@@ -0,0 +1,104 @@
+/**
+ * daily.js — Daily Challenge
+ *
+ * One game a day that is the same for everyone: its sequence is seeded
+ * with the date and it has fixed settings instead of the player's. Each
+ * player can start it once per day. Its results are kept apart from the
+ * leaderboard, in localStorage by day, and ranked among themselves.
+ */
+
+import { createRandom } from './random.js';
+
+const DAILY_KEY = 'uyghurTypingDaily';
+const MAX_DAYS = 30; // Days of daily results kept
+
+/**
+ * Mode, level and CONFIG overrides of the daily challenge.
+ */
+export const DAILY_CHALLENGE = {
+  mode: 'letters',
+  level: 4,
+  config: {
+    LETTER_COUNT: 7,
+    MAX_ADVANCE: 21,
+    FLICKER_DELAY: 5000,
+    FALL_DELAY: 8000,
+    HAMZA_SHARE: 0.3,
+  },
+};
+
+/**
+ * The day of a date in the player's time zone, which names the challenge.
+ * @param {Date} date - Date to get the day of.
+ * @returns {string} The day as YYYY-MM-DD.
+ */
+export const getDailyDate = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Random number generator of a day's challenge.
+ * @param {string} day - Day as YYYY-MM-DD.
+ * @returns {Function} Seeded generator, see random.js.
+ */
+export const createDailyRandom = (day) => createRandom(`daily-${day}`);
+
+/**
+ * Load the daily results of the kept days.
+ * @returns {Object<string, Object[]>} Results as { player, score, accuracy } keyed by day.
+ */
+const loadDailyResults = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DAILY_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Save the daily results, dropping the oldest days beyond MAX_DAYS.
+ * @param {Object<string, Object[]>} results - Results keyed by day.
+ */
+const saveDailyResults = (results) => {
+  const days = Object.keys(results).sort().slice(-MAX_DAYS);
+  localStorage.setItem(DAILY_KEY, JSON.stringify(Object.fromEntries(days.map(day => [day, results[day]]))));
+};
+
+/**
+ * A player's result in a day's challenge.
+ * @param {string} day - Day as YYYY-MM-DD.
+ * @param {string} player - Player name.
+ * @returns {Object|null} The result, with a null score while unfinished, or null if not started.
+ */
+export const getDailyResult = (day, player) =>
+  loadDailyResults()[day]?.find(result => result.player === player) ?? null;
+
+/**
+ * Marks the day's challenge as started by a player, so leaving the game
+ * does not allow a second try.
+ * @param {string} day - Day as YYYY-MM-DD.
+ * @param {string} player - Player name.
+ */
+export const startDailyChallenge = (day, player) => {
+  const results = loadDailyResults();
+  results[day] = [...(results[day] ?? []), { player, score: null, accuracy: null }];
+  saveDailyResults(results);
+};
+
+/**
+ * Saves a player's finished daily challenge and ranks it.
+ * @param {string} day - Day as YYYY-MM-DD.
+ * @param {Object} result - Finished game as { player, score, accuracy }.
+ * @returns {{rank: number, count: number}} The place among the day's players, from 1.
+ */
+export const finishDailyChallenge = (day, result) => {
+  const results = loadDailyResults();
+  const dayResults = [...(results[day] ?? []).filter(({ player }) => player !== result.player), result];
+  results[day] = dayResults;
+  saveDailyResults(results);
+
+  const better = dayResults.filter(({ score }) => (score ?? 0) > result.score).length;
+  return { rank: better + 1, count: dayResults.length };
+};
@@ -5,15 +5,26 @@
  * and provides a button to restart or return to the home screen.
  */
 
+import { t, formatNumber, translateTree } from './i18n.js';
+
 const ID = {
     overlay: 'end-screen-overlay',     // ID for the overlay modal container
     finalScore: 'final-score',          // ID for displaying the current game score
     totalScore: 'total-score',          // ID for displaying the accumulated total score
+    accuracy: 'accuracy',               // ID for displaying keystroke accuracy and mistakes
+    cpm: 'cpm',                         // ID for displaying characters per minute
+    reaction: 'reaction-time',          // ID for displaying average and median reaction time
+    slowest: 'slowest-letters',         // ID for listing the slowest letters
+    maxCombo: 'max-combo',              // ID for displaying the longest combo
+    trend: 'speed-trend',               // ID for comparing speed with past sessions
+    message: 'end-message',             // ID for the level progress message
+    personalBest: 'personal-best',      // ID for the "new personal best" banner
     playAgain: 'back-to-home-btn',      // ID for the "play again" button
   };
   
   const CLASS = {
     popup: 'endscreen-popup',            // Class for the popup container styling
+    stats: 'endscreen-stats',            // Class for the speed statistics block
     visible: 'visible',                  // Class to toggle modal visibility
     button: 'btn mt-2',                  // Class for button styling
   };
@@ -41,12 +52,23 @@ const ID = {
       this.modal.id = ID.overlay;
       this.modal.innerHTML = `
         <div class="${CLASS.popup}">
-          <h2>ياخشى ئىش!</h2>
-          <p>بۇ قېتىملىق نومۇرىڭىز: <span id="${ID.finalScore}">0</span></p>
-          <p>ئومۇمىي نومۇرىڭىز: <span id="${ID.totalScore}">0</span></p>
-          <button id="${ID.playAgain}" class="${CLASS.button}">باش بەتكە قايتىش</button>
+          <h2 data-i18n="end.title"></h2>
+          <p id="${ID.personalBest}" class="personal-best" data-i18n="end.personalBest" hidden></p>
+          <p id="${ID.finalScore}"></p>
+          <p id="${ID.totalScore}"></p>
+          <p id="${ID.accuracy}"></p>
+          <div class="${CLASS.stats}">
+            <p id="${ID.cpm}"></p>
+            <p id="${ID.reaction}"></p>
+            <p id="${ID.slowest}"></p>
+            <p id="${ID.maxCombo}"></p>
+            <p id="${ID.trend}"></p>
+          </div>
+          <p id="${ID.message}"></p>
+          <button id="${ID.playAgain}" class="${CLASS.button}" data-i18n="end.home"></button>
         </div>
       `;
+      translateTree(this.modal);
       this.parent.appendChild(this.modal);
     }
   
@@ -56,6 +78,14 @@ const ID = {
     cacheElements() {
       this.finalScoreElement = this.modal.querySelector(`#${ID.finalScore}`);
       this.totalScoreElement = this.modal.querySelector(`#${ID.totalScore}`);
+      this.accuracyElement = this.modal.querySelector(`#${ID.accuracy}`);
+      this.cpmElement = this.modal.querySelector(`#${ID.cpm}`);
+      this.reactionElement = this.modal.querySelector(`#${ID.reaction}`);
+      this.slowestElement = this.modal.querySelector(`#${ID.slowest}`);
+      this.maxComboElement = this.modal.querySelector(`#${ID.maxCombo}`);
+      this.trendElement = this.modal.querySelector(`#${ID.trend}`);
+      this.messageElement = this.modal.querySelector(`#${ID.message}`);
+      this.personalBestElement = this.modal.querySelector(`#${ID.personalBest}`);
       this.playAgainButton = this.modal.querySelector(`#${ID.playAgain}`);
     }
   
@@ -73,13 +103,70 @@ const ID = {
      * Shows the end screen modal and updates score displays.
      * @param {number} currentScore - Score achieved in the current game session.
      * @param {number} totalScore - Total accumulated score across sessions.
+     * @param {Object} details - Extra results of the session.
+     * @param {number} details.accuracy - Keystroke accuracy percentage.
+     * @param {number} details.mistakeCount - Number of wrong keystrokes.
+     * @param {number} details.cpm - Correct characters per minute.
+     * @param {number} details.wpm - Words per minute, at five characters per word.
+     * @param {number} details.averageReaction - Average reaction time in ms.
+     * @param {number} details.medianReaction - Median reaction time in ms.
+     * @param {Object[]} details.slowestLetters - Slowest letters as { char, time }.
+     * @param {number} details.maxCombo - Longest streak of consecutive hits.
+     * @param {number|null} details.previousCpm - Average speed of recent past sessions.
+     * @param {string} details.message - Optional message such as the level outcome.
+     * @param {boolean} details.isPersonalBest - Whether to show the new personal best banner.
      */
-    show(currentScore, totalScore) {
-      this.finalScoreElement.textContent = currentScore;
-      this.totalScoreElement.textContent = totalScore;
+    show(currentScore, totalScore, {
+      accuracy = 100,
+      mistakeCount = 0,
+      cpm = 0,
+      wpm = 0,
+      averageReaction = 0,
+      medianReaction = 0,
+      slowestLetters = [],
+      maxCombo = 0,
+      previousCpm = null,
+      message = '',
+      isPersonalBest = false,
+    } = {}) {
+      const seconds = (ms) => formatNumber(ms / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+      this.finalScoreElement.textContent = t('end.score', { score: currentScore });
+      this.totalScoreElement.textContent = t('end.total', { score: totalScore });
+      this.accuracyElement.textContent = t('end.accuracy', { accuracy, mistakes: mistakeCount });
+
+      this.cpmElement.textContent = t('end.speed', { cpm, wpm });
+      this.reactionElement.textContent = t('end.reaction', {
+        average: seconds(averageReaction),
+        median: seconds(medianReaction),
+      });
+      this.slowestElement.textContent = t('end.slowest', {
+        letters: slowestLetters.length
+          ? slowestLetters.map(({ char }) => char).join(t('common.listSeparator'))
+          : '-',
+      });
+      this.maxComboElement.textContent = t('end.maxCombo', { combo: maxCombo });
+      this.showTrend(cpm, previousCpm);
+
+      this.messageElement.textContent = message;
+      this.messageElement.hidden = !message;
+      this.personalBestElement.hidden = !isPersonalBest;
       this.modal.classList.add(CLASS.visible);
     }
   
+    /**
+     * Compares this session's speed with the average of recent sessions.
+     * @param {number} cpm - Characters per minute in this session.
+     * @param {number|null} previousCpm - Average of recent sessions, or null without history.
+     */
+    showTrend(cpm, previousCpm) {
+      this.trendElement.hidden = previousCpm === null;
+      if (previousCpm === null) return;
+
+      const arrow = cpm >= previousCpm ? '▲' : '▼';
+      this.trendElement.textContent = t('end.trend', { cpm: previousCpm, arrow });
+    }
+
     /**
      * Hides the end screen modal.
      */
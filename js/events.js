@@ -0,0 +1,64 @@
+/**
+ * events.js — Minimal Event Emitter
+ *
+ * Lets an object announce what happens to it without knowing who listens.
+ * The game emits its events here, so scoring, audio, the mastery profile,
+ * the on-screen keyboard, the UI and plugins can each subscribe on their
+ * own. A listener that throws is reported and does not stop the others.
+ */
+
+export default class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // Event type -> Set of listener functions
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Called with the event's payload.
+   * @returns {Function} Unsubscribes the listener.
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event only.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Called with the event's payload.
+   * @returns {Function} Unsubscribes the listener.
+   */
+  once(type, listener) {
+    const off = this.on(type, (payload) => {
+      off();
+      listener(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Unsubscribes from an event.
+   * @param {string} type - Event type.
+   * @param {Function} listener - Listener passed to on().
+   */
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Calls every listener of an event in the order they subscribed.
+   * @param {string} type - Event type.
+   * @param {Object} payload - Event details passed to each listener.
+   */
+  emit(type, payload = {}) {
+    [...(this.listeners.get(type) ?? [])].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${type}" listener:`, error);
+      }
+    });
+  }
+}
@@ -2,79 +2,305 @@
  * game.js — Core Game Mechanics for Uyghur Typing Game
  *
  * Handles the main gameplay loop including sequence generation,
- * rendering letters on screen, timing, user input, scoring, and game over.
+ * rendering letters on screen, timing, user input, and game over.
  *
- * Uses imported letter data and image paths from letter.js.
+ * Uses imported letter data and image paths from letter.js and the
+ * practice vocabulary from words.js.
+ *
+ * Each target pairs what is shown (`prompt`) with the characters to type
+ * (`keys`). They are the same for letters and words; form drills show a
+ * letter's contextual form but expect its base key, and transliteration
+ * drills show a letter or word in Latin or Cyrillic script but expect its
+ * Arabic-script characters. Targets of several characters, such as words or
+ * a vowel after the hamza carrier (ئا = two keys), are typed one keystroke
+ * at a time with the typed part marked.
+ *
+ * The game is an event emitter. Scoring, sound, the mastery profile, the
+ * on-screen keyboard, the UI and plugins subscribe with `game.on(type, fn)`:
+ *   - letterShown      { target, index }           A target became the one to type.
+ *   - hit              { char, time, target, complete, fast, next }
+ *                      A correct character; `complete` once the whole target is typed,
+ *                      `fast` if that happened before it flickered, `next` the next character.
+ *   - miss             { expected, actual, target } A wrong keystroke.
+ *   - flicker          { target }                  The current target blinked while flickering.
+ *   - timeout          { expected, target }        The current target fell before it was typed.
+ *   - sequenceComplete { sequence }                Every target of a sequence was passed.
+ *   - pause, resume    {}                          The game was paused or resumed.
+ *   - gameOver         { hits, total, ...stats }   The round ended; see SessionStats.summarize().
+ *
+ * A game can also play recorded targets in order (`targets`) instead of
+ * picking them, to race a ghost on the same sequence. A `driven` game takes
+ * no keyboard input and its targets never fall on their own: a replay feeds
+ * it the recorded keystrokes through handleText() and timeouts through
+ * dropTarget(), so it plays out exactly like the recorded game.
+ *
+ * Sequences draw their random choices from the `random` generator, so a
+ * seeded one (see random.js) gives the same sequence on every machine.
  */
 
-import { letterMap, getLetterImagePath, allLetters } from './letter.js';
+import {
+  getLetterImagePath,
+  getLetterInfo,
+  getLetterForms,
+  getLetterForm,
+  isLetterAvailable,
+  allLetters,
+  transliterate,
+  isVowel,
+  getHamzaForm,
+} from './letter.js';
+import { allWords, wordsWithLetters } from './words.js';
+import { getLevelConfig } from './levels.js';
+import SessionStats from './stats.js';
+import InputMapper from './input.js';
+import { DEFAULT_GAME_CONFIG } from './settings.js';
+import EventEmitter from './events.js';
+import { t } from './i18n.js';
 
+/**
+ * Default game configuration. The difficulty values come from settings.js
+ * so the settings panel and the game share one set of defaults.
+ */
 const CONFIG = {
-  LETTER_COUNT: 7,         // Number of letters per sequence
-  MAX_ADVANCE: 7,          // Maximum letters player can advance before game ends
+  ...DEFAULT_GAME_CONFIG,
   SPACING: 160,            // Horizontal space between letters in pixels
   WIDTH: 128,              // Letter image width in pixels
-  FLICKER_DELAY: 7000,     // Time in ms before letter flickers to warn timeout
-  FALL_DELAY: 10000,       // Time in ms before letter falls off screen
   BURST_PARTICLES: 10,     // Number of particles in visual burst effect
+  DELAY_PER_CHAR: 1000,    // Extra time in ms for each additional character of a word
+  EDGE_MARGIN: 16,         // Minimum space in pixels between the letters and the screen edges
+  ENDLESS: false,          // Keep spawning letters until all lives are lost
+  LIVES: 3,                // Timeouts allowed in endless mode
+  SPEEDUP: 0.95,           // Factor applied to the delays after each letter in endless mode
+  MIN_SPEED: 0.35,         // Lowest delay factor endless mode speeds up to
+  HAMZA_SHARE: 0.3,        // Share of vowels shown word-initially, after the hamza carrier, in letter modes
+};
+
+/**
+ * Per-mode overrides applied on top of CONFIG and the level settings.
+ * - letters: single letters shown as images, or text with LETTER_STYLE 'text'.
+ * - forms: a letter's isolated, initial, medial or final form, typed with its base key.
+ * - endless: letters keep spawning and speed up until the player runs out of lives.
+ * - words: whole words shown as joined text and typed character by character.
+ * - transliteration: letters, or a drill's words, shown in the PROMPT_SCRIPT and
+ *   typed in Arabic script; the tile fills in what has been typed so far.
+ */
+const MODES = {
+  letters: {},
+  forms: {},
+  endless: {
+    ENDLESS: true,
+    LETTER_COUNT: 5,
+  },
+  words: {
+    LETTER_COUNT: 4,
+    MAX_ADVANCE: 4,
+    SPACING: 300,
+    WIDTH: 260,
+  },
+  transliteration: {
+    SPACING: 240,
+    WIDTH: 200,
+  },
 };
 
-export default class UyghurTypingGame {
+export default class UyghurTypingGame extends EventEmitter {
   /**
-   * Initializes the game instance.
+   * Initializes the game instance. Subscribe to its events before start().
    * @param {HTMLElement} area - The DOM element to render letters inside.
-   * @param {Function} onGameOver - Callback invoked when the game ends.
-   * @param {ScoreManager} scoreManager - Instance managing score updates.
+   * @param {Object} options
+   * @param {string} options.mode - Practice mode: 'letters', 'forms', 'endless', 'words' or 'transliteration'.
+   * @param {Object} options.level - Level definition from levels.js or a lesson drill, or null for defaults.
+   * @param {MasteryProfile} options.mastery - Per-letter mastery profile for adaptive picks.
+   * @param {InputMapper} options.input - Translates key events to characters (OS or built-in layout).
+   * @param {Object} options.config - CONFIG overrides from the player's settings, applied last.
+   * @param {Object[]} options.targets - Recorded targets ({ keys, form }) to play before picking new ones.
+   * @param {boolean} options.driven - Take keystrokes and timeouts from a replay instead of the player.
+   * @param {Function} options.random - Random number generator for sequences, Math.random or a seeded one.
    */
-  constructor(area, onGameOver, scoreManager) {
+  constructor(area, {
+    mode = 'letters',
+    level = null,
+    mastery = null,
+    input = null,
+    config = {},
+    targets = null,
+    driven = false,
+    random = Math.random,
+  } = {}) {
+    super();
     this.area = area;
-    this.onGameOver = onGameOver;
-    this.keys = allLetters;
+    this.mastery = mastery;
+    this.input = input ?? new InputMapper();
+    this.targets = targets;
+    this.driven = driven;
+    this.random = random;
+    this.mode = MODES[mode] ? mode : 'letters';
+    this.level = level;
+    this.config = {
+      ...CONFIG,
+      ...(level ? getLevelConfig(level) : {}),
+      ...MODES[this.mode],
+      ...config,
+    };
+    this.keys = this.pickKeys();
 
-    this.scoreManager = scoreManager; // Shared score manager instance
+    this.resizeHandler = () => this.layout(); // Reflows letters on resize and orientation change
     this.resetState();
     this.prepareInputHandler();
   }
 
+  /**
+   * Chooses the pool of targets for the current mode and level.
+   * Letters excluded because their image failed to load are left out
+   * unless that would leave nothing to practise. Seeded games keep them,
+   * drawn as text, so every device draws from the same pool. Word mode keeps to words
+   * made of the level's letters when there are enough of them, otherwise
+   * it uses the whole vocabulary. A lesson drill's own word list is used as
+   * is, also for transliteration drills.
+   * @returns {string[]} Letters or words to build sequences from.
+   */
+  pickKeys() {
+    const takesWordList = this.mode === 'words' || this.mode === 'transliteration';
+    if (takesWordList && this.level?.words) return this.level.words;
+
+    const levelLetters = this.level?.letters ?? allLetters;
+    const seeded = this.random !== Math.random;
+    const available = seeded ? levelLetters : levelLetters.filter(isLetterAvailable);
+    const letters = available.length ? available : levelLetters;
+    if (this.mode !== 'words') return letters;
+
+    const words = wordsWithLetters(letters);
+    return words.length >= this.config.LETTER_COUNT ? words : allWords;
+  }
+
   /**
    * Resets internal game state and clears timers/intervals.
    */
   resetState() {
-    this.seq = [];         // Current letter sequence to type
-    this.letters = [];     // DOM elements for each letter in sequence
-    this.idx = 0;          // Current letter index in sequence
-    clearTimeout(this.letterT);
-    clearInterval(this.flicker);
+    this.seq = [];         // Current sequence of targets ({ prompt, keys, form }) to type
+    this.created = [];     // Every target created this game, in order, for recordings
+    this.letters = [];     // DOM elements for each target in sequence
+    this.idx = 0;          // Current target index in sequence
+    this.advanced = 0;     // Targets passed (typed or fallen) across all sequences
+    this.pos = 0;          // Typed character index within the current target
+    this.hits = 0;         // Number of targets typed completely
+    this.stats = new SessionStats(); // Keystroke accuracy and timing for this session
+    this.lives = this.config.LIVES; // Timeouts left in endless mode
+    this.speed = 1;        // Factor applied to the letter delays, lowered in endless mode
+    this.running = false;  // True from start until game over
+    this.paused = false;   // True while the game is paused
+    this.stopTimers();
   }
 
   /**
-   * Prepares keydown event handler for user input.
+   * Prepares the keydown and composition event handlers for user input.
+   * Key events are translated to characters by the input mapper; Shift,
+   * dead keys and keystrokes an IME is still composing type nothing. Text
+   * an IME commits arrives with the compositionend event instead.
    */
   prepareInputHandler() {
     this.keyHandler = (ev) => {
-      if (this.idx >= this.seq.length) return;
-      if (ev.key === this.seq[this.idx]) this.handleCorrectKey();
+      const text = this.input.translate(ev);
+      if (text !== null) this.handleText(text);
+    };
+    this.compositionHandler = (ev) => {
+      if (ev.data) this.handleText(ev.data);
     };
   }
 
   /**
-   * Starts the game, resets state, adds key event listener,
-   * generates initial sequence and renders it.
+   * Checks typed text against the current target one character at a
+   * time, so words and hamza-initial vowels advance through their letters
+   * before the whole target counts as typed. Any other character counts
+   * as a mistake.
+   * @param {string} text - One or more typed characters.
+   */
+  handleText(text) {
+    for (const char of text) {
+      if (this.paused || this.idx >= this.seq.length) return;
+
+      if (char === this.seq[this.idx].keys[this.pos]) this.handleCorrectChar();
+      else this.handleWrongKey(char);
+    }
+  }
+
+  /**
+   * Starts the game, resets state, adds key event listeners unless the
+   * game is driven by a replay, generates initial sequence and renders it.
    */
   start() {
     this.resetState();
-    document.addEventListener('keydown', this.keyHandler);
+    if (this.level) this.area.style.backgroundImage = `url("${this.level.background}")`;
+    if (!this.driven) {
+      document.addEventListener('keydown', this.keyHandler);
+      document.addEventListener('compositionend', this.compositionHandler);
+    }
+    window.addEventListener('resize', this.resizeHandler);
+    this.running = true;
     this.newSequence();
     this.render();
   }
 
   /**
-   * Generates a new random letter sequence.
+   * Generates a new random sequence of letters or words for the current mode.
+   * With a mastery profile, picks are weighted toward the player's weak letters.
+   * A level with a fixed `sequence` (from a lesson drill) is played in order
+   * instead, continuing where the previous sequence stopped and starting
+   * over at the end.
    */
   newSequence() {
-    this.seq = Array.from({ length: CONFIG.LETTER_COUNT }, () =>
-      this.keys[Math.floor(Math.random() * this.keys.length)]
-    );
+    this.seq = Array.from({ length: this.config.LETTER_COUNT }, () => this.nextTarget());
+  }
+
+  /**
+   * Creates the next target: the next recorded one while there are any,
+   * then the next letter of the level's fixed sequence or a picked one.
+   * @returns {{prompt: string, keys: string, form: string|null}} The target.
+   */
+  nextTarget() {
+    const index = this.created.length;
+    const recorded = this.targets?.[index];
+    const fixed = this.level?.sequence;
+    const target = recorded
+      ? this.createTarget(recorded.keys, recorded.form)
+      : this.createTarget(fixed ? fixed[index % fixed.length] : this.pickKey());
+
+    this.created.push(target);
+    return target;
+  }
+
+  /**
+   * Picks the next letter or word from the pool. In letter and endless
+   * mode a share of the vowels (HAMZA_SHARE) comes as written at the start
+   * of a word, after the hamza carrier.
+   * @returns {string} Letter, hamza-initial vowel or word to type.
+   */
+  pickKey() {
+    const key = this.mastery
+      ? this.mastery.pickWeighted(this.keys, this.random)
+      : this.keys[Math.floor(this.random() * this.keys.length)];
+
+    const letterMode = this.mode === 'letters' || this.mode === 'endless';
+    return letterMode && isVowel(key) && this.random() < this.config.HAMZA_SHARE ? getHamzaForm(key) : key;
+  }
+
+  /**
+   * Builds a target from a picked letter or word. Form drills show one of
+   * the letter's contextual forms, at random unless it is given;
+   * transliteration drills show the letter or word in the PROMPT_SCRIPT.
+   * @param {string} keys - Letter or word to type.
+   * @param {string|null} form - Contextual form to show in form drills, e.g. from a recording.
+   * @returns {{prompt: string, keys: string, form: string|null}} The target.
+   */
+  createTarget(keys, form = null) {
+    if (this.mode === 'transliteration') {
+      return { prompt: transliterate(keys, this.config.PROMPT_SCRIPT), keys, form: null };
+    }
+    if (this.mode !== 'forms') return { prompt: keys, keys, form: null };
+
+    const forms = getLetterForms(keys);
+    const shown = form ?? forms[Math.floor(this.random() * forms.length)];
+    return { prompt: getLetterForm(keys, shown), keys, form: shown };
   }
 
   /**
@@ -83,8 +309,8 @@ export default class UyghurTypingGame {
   clearRender() {
     this.letters.forEach(el => el.remove());
     this.letters = [];
-    clearTimeout(this.letterT);
-    clearInterval(this.flicker);
+    this.livesDisplay?.remove();
+    this.stopTimers();
   }
 
   /**
@@ -95,67 +321,261 @@ export default class UyghurTypingGame {
   render() {
     this.clearRender();
 
-    const totalW = (this.seq.length - 1) * CONFIG.SPACING + CONFIG.WIDTH;
-    const startX = (window.innerWidth - totalW) / 2;
-
-    this.seq.forEach((char, i) => {
-      const img = document.createElement('img');
-      img.src = getLetterImagePath(char);
-      img.alt = char;
-      img.className = 'letter animated';
-      img.style.left = `${startX + CONFIG.SPACING * i}px`;
-      img.style.top = `${window.innerHeight / 2}px`;
-      img.style.opacity = '0';
+    this.seq.forEach((target, i) => {
+      const el = this.createTile(target);
+      el.style.opacity = '0';
 
       setTimeout(() => {
-        img.style.opacity = '1';
-        img.style.transform = 'scale(1)';
+        el.style.opacity = '1';
+        el.style.transform = 'scale(1)';
       }, 100 + i * 100);
 
-      this.area.appendChild(img);
-      this.letters.push(img);
+      this.area.appendChild(el);
+      this.letters.push(el);
     });
 
+    this.layout();
+    if (this.config.ENDLESS) this.renderLives();
     this.startTimer();
   }
 
+  /**
+   * Positions the letters that are still to be typed, the current one
+   * first, centered horizontally. When a full sequence would not fit the
+   * viewport, spacing and tile size shrink through the --tile-scale
+   * custom property. Called again whenever the window is resized.
+   */
+  layout() {
+    const { LETTER_COUNT, SPACING, WIDTH, EDGE_MARGIN } = this.config;
+    const fullWidth = (LETTER_COUNT - 1) * SPACING + WIDTH;
+    const scale = Math.min(1, (window.innerWidth - 2 * EDGE_MARGIN) / fullWidth);
+    const startX = (window.innerWidth - fullWidth * scale) / 2;
+    this.area.style.setProperty('--tile-scale', scale);
+
+    this.letters.slice(this.idx).forEach((el, i) => {
+      el.style.left = `${startX + SPACING * scale * i}px`;
+      el.style.top = `${window.innerHeight / 2}px`;
+    });
+  }
+
+  /**
+   * Endless mode: adds a new target after the last one. It moves into
+   * the last visible place when the letters shift.
+   */
+  spawnTarget() {
+    const target = this.nextTarget();
+    const el = this.createTile(target);
+    el.style.opacity = '0';
+
+    setTimeout(() => {
+      el.style.opacity = '1';
+      el.style.transform = 'scale(1)';
+    }, 100);
+
+    this.area.appendChild(el);
+    this.seq.push(target);
+    this.letters.push(el);
+  }
+
+  /**
+   * Shows the remaining lives in endless mode.
+   */
+  renderLives() {
+    if (!this.livesDisplay) {
+      this.livesDisplay = document.createElement('div');
+      this.livesDisplay.id = 'lives';
+      this.livesDisplay.setAttribute('role', 'status');
+    }
+    this.livesDisplay.textContent = '❤'.repeat(this.lives) + '♡'.repeat(this.config.LIVES - this.lives);
+    this.livesDisplay.setAttribute('aria-label', t('game.lives', { lives: this.lives }));
+    this.area.appendChild(this.livesDisplay);
+  }
+
+  /**
+   * Creates the DOM element for a single target.
+   * Letters use their image asset unless LETTER_STYLE is 'text' or the
+   * letter has no image; then they are drawn with the letter font, like
+   * contextual forms; a hamza-initial vowel gets one span per keystroke.
+   * Words are rendered as text, one span per character,
+   * so the browser joins them with proper contextual forms. Transliteration
+   * prompts are rendered as text with an answer line below them.
+   * @param {Object} target - Target with the prompt to display.
+   * @returns {HTMLElement} The tile element.
+   */
+  createTile({ prompt, keys, form }) {
+    if (this.mode === 'transliteration') {
+      const tile = document.createElement('div');
+      tile.className = 'letter word transliteration animated';
+      tile.setAttribute('aria-label', prompt);
+      const text = document.createElement('span');
+      text.className = 'transliteration-prompt';
+      text.lang = this.config.PROMPT_SCRIPT === 'cyrillic' ? 'ug-Cyrl' : 'ug-Latn';
+      text.textContent = prompt;
+      const answer = document.createElement('small');
+      answer.className = 'transliteration-answer';
+      answer.lang = 'ug-Arab';
+      tile.append(text, answer);
+      return tile;
+    }
+
+    if (this.mode === 'words') {
+      const word = document.createElement('div');
+      word.className = 'letter word animated';
+      word.setAttribute('aria-label', prompt);
+      [...prompt].forEach(char => {
+        const span = document.createElement('span');
+        span.textContent = char;
+        word.appendChild(span);
+      });
+      return word;
+    }
+
+    const imagePath = getLetterImagePath(prompt);
+    if (!form && imagePath && this.config.LETTER_STYLE !== 'text') {
+      const img = document.createElement('img');
+      img.src = imagePath;
+      img.alt = prompt;
+      img.className = 'letter animated';
+      return img;
+    }
+
+    const glyph = document.createElement('div');
+    glyph.className = 'letter glyph animated';
+    if (keys.length > 1) {
+      // One span per keystroke, like words, to mark the typed part
+      [...prompt].forEach(char => {
+        const span = document.createElement('span');
+        span.textContent = char;
+        glyph.appendChild(span);
+      });
+    } else {
+      glyph.textContent = prompt;
+    }
+    const name = getLetterInfo(keys)?.name ?? keys;
+    glyph.setAttribute('aria-label', form ? `${name} (${t(`forms.${form}`)})` : name);
+
+    if (form) {
+      const caption = document.createElement('small');
+      caption.className = 'glyph-form';
+      caption.textContent = t(`forms.${form}`);
+      glyph.appendChild(caption);
+    }
+    return glyph;
+  }
+
+  /**
+   * Returns a delay scaled to the length of the current target,
+   * giving longer words extra time for each additional character,
+   * and shortened by the endless mode speed-up.
+   * @param {number} base - Base delay in ms for a single letter.
+   * @returns {number} Delay in ms.
+   */
+  delayFor(base) {
+    return (base + (this.seq[this.idx].keys.length - 1) * this.config.DELAY_PER_CHAR) * this.speed;
+  }
+
   /**
    * Starts timers for the current letter:
+   * - Starts measuring reaction time for the letter and announces it.
    * - Flickers letter after FLICKER_DELAY.
-   * - Makes letter fall after FALL_DELAY, triggering next letter.
+   * - Makes letter fall after FALL_DELAY (see dropTarget), unless the game is driven by a replay.
    */
   startTimer() {
     if (this.idx >= this.seq.length) return;
 
+    this.stats.markActive();
+    this.emit('letterShown', { target: this.seq[this.idx], index: this.advanced });
+
+    this.flickering = false; // Set once the letter starts flickering; earlier hits earn the speed bonus
+    this.flickerLeft = this.delayFor(this.config.FLICKER_DELAY); // Time in ms until the letter flickers
+    this.fallLeft = this.delayFor(this.config.FALL_DELAY);       // Time in ms until the letter falls
+    this.runTimers();
+  }
+
+  /**
+   * Schedules the flicker and fall of the current letter from the time
+   * left for each, so a resumed letter continues where it was paused.
+   * A driven game only flickers; its letters fall when the replay says so.
+   */
+  runTimers() {
     const el = this.letters[this.idx];
-    let flickered = false;
+    this.timersStartedAt = performance.now();
 
-    this.letterT = setTimeout(() => {
-      flickered = true;
+    this.flickerT = setTimeout(() => {
+      this.flickering = true;
       this.flicker = setInterval(() => {
         el.style.opacity = el.style.opacity === '1' ? '0.3' : '1';
+        if (el.style.opacity === '0.3') this.emit('flicker', { target: this.seq[this.idx] });
       }, 250);
-    }, CONFIG.FLICKER_DELAY);
+    }, this.flickerLeft);
 
-    this.letterT = setTimeout(() => {
-      if (flickered) clearInterval(this.flicker);
-      el.style.transition = 'top 1s ease, opacity 1s ease';
-      el.style.top = `${window.innerHeight + 150}px`;
-      el.style.opacity = '0';
-      setTimeout(() => el.remove(), 1000);
-      this.nextLetter();
-    }, CONFIG.FALL_DELAY);
+    if (!this.driven) this.letterT = setTimeout(() => this.dropTarget(), this.fallLeft);
+  }
+
+  /**
+   * Makes the current letter fall, reporting a timeout and triggering the
+   * next letter. In endless mode a timeout costs a life and the game ends
+   * when none are left.
+   */
+  dropTarget() {
+    if (this.paused || this.idx >= this.seq.length) return;
+
+    const el = this.letters[this.idx];
+    this.stopTimers();
+    this.emit('timeout', { expected: this.seq[this.idx].keys[this.pos], target: this.seq[this.idx] });
+    el.style.transition = 'top 1s ease, opacity 1s ease';
+    el.style.top = `${window.innerHeight + 150}px`;
+    el.style.opacity = '0';
+    setTimeout(() => el.remove(), 1000);
+    this.nextLetter(true);
   }
 
   /**
-   * Shifts all remaining letters left by one spacing unit,
+   * Cancels the flicker and fall timers of the current letter.
+   */
+  stopTimers() {
+    clearTimeout(this.flickerT);
+    clearTimeout(this.letterT);
+    clearInterval(this.flicker);
+  }
+
+  /**
+   * Pauses the game: keeps the time left before the current letter
+   * flickers and falls, stops the timers and freezes all animations.
+   * Keystrokes are ignored until the game is resumed.
+   */
+  pause() {
+    if (!this.running || this.paused) return;
+    this.paused = true;
+
+    const elapsed = performance.now() - this.timersStartedAt;
+    this.flickerLeft = Math.max(this.flickerLeft - elapsed, 0);
+    this.fallLeft = Math.max(this.fallLeft - elapsed, 0);
+    this.stopTimers();
+    this.stats.pause();
+    this.area.getAnimations?.({ subtree: true }).forEach(animation => animation.pause());
+    this.emit('pause');
+  }
+
+  /**
+   * Resumes a paused game with the letter timers continuing from where they stopped.
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+
+    this.stats.resume();
+    this.area.getAnimations?.({ subtree: true }).forEach(animation => animation.play());
+    this.runTimers();
+    this.emit('resume');
+  }
+
+  /**
+   * Shifts all remaining letters left by one place,
    * visually advancing the sequence.
    */
   shiftLetters() {
-    this.letters.slice(this.idx).forEach(el => {
-      const currentLeft = parseFloat(el.style.left);
-      el.style.left = `${currentLeft - CONFIG.SPACING}px`;
-    });
+    this.layout();
   }
 
   /**
@@ -164,7 +584,9 @@ export default class UyghurTypingGame {
    * @param {number} y - Y coordinate for burst center.
    */
   createBurst(x, y) {
-    for (let i = 0; i < CONFIG.BURST_PARTICLES; i++) {
+    if (!this.config.PARTICLES) return;
+
+    for (let i = 0; i < this.config.BURST_PARTICLES; i++) {
       const particle = document.createElement('div');
       particle.className = 'burst';
       particle.style.left = `${x}px`;
@@ -189,20 +611,71 @@ export default class UyghurTypingGame {
   }
 
   /**
-   * Handles correct key press:
+   * Handles a correct character within the current target and reports it.
+   * Completes the target once its last character is typed,
+   * otherwise marks the typed part of the word, or writes it on the
+   * answer line of a transliteration prompt.
+   */
+  handleCorrectChar() {
+    const target = this.seq[this.idx];
+    const char = target.keys[this.pos];
+    const time = this.stats.recordHit(char);
+    this.pos++;
+    const complete = this.pos >= target.keys.length;
+    this.emit('hit', {
+      char,
+      time,
+      target,
+      complete,
+      fast: complete && !this.flickering,
+      next: complete ? null : target.keys[this.pos],
+    });
+    if (complete) return this.handleCorrectKey();
+
+    if (this.mode === 'transliteration') {
+      this.letters[this.idx].querySelector('.transliteration-answer').textContent = target.keys.slice(0, this.pos);
+      return;
+    }
+    Array.from(this.letters[this.idx].children).forEach((span, i) => {
+      span.classList.toggle('typed', i < this.pos);
+    });
+  }
+
+  /**
+   * Handles a wrong keystroke:
+   * - Records the expected and actual characters in the stats and reports the miss.
+   * - Shakes the target with a red glow.
+   * @param {string} actual - The character that was typed.
+   */
+  handleWrongKey(actual) {
+    const expected = this.seq[this.idx].keys[this.pos];
+    this.stats.recordMiss(expected, actual, this.idx);
+    this.emit('miss', { expected, actual, target: this.seq[this.idx] });
+
+    this.letters[this.idx].animate(
+      [
+        { transform: 'translateX(0)', filter: 'drop-shadow(0 0 8px #c23d37)' },
+        { transform: 'translateX(-8px)' },
+        { transform: 'translateX(8px)' },
+        { transform: 'translateX(0)', filter: 'none' }
+      ],
+      { duration: 300, easing: 'ease-in-out' }
+    );
+  }
+
+  /**
+   * Handles a fully typed target:
    * - Stops timers and flicker.
    * - Creates visual burst on letter.
    * - Animates letter fade and removal.
-   * - Increments score.
-   * - Advances to next letter.
+   * - Counts the hit and advances to next letter.
    */
   handleCorrectKey() {
     const el = this.letters[this.idx];
-    clearTimeout(this.letterT);
-    clearInterval(this.flicker);
+    this.stopTimers();
 
     const rect = el.getBoundingClientRect();
-    this.createBurst(rect.left + 64, rect.top + 64);
+    this.createBurst(rect.left + rect.width / 2, rect.top + rect.height / 2);
 
     el.style.transition = 'transform 0.4s ease, opacity 0.4s ease, filter 0.4s';
     el.style.transform = 'scale(1.4)';
@@ -210,18 +683,46 @@ export default class UyghurTypingGame {
     el.style.filter = 'drop-shadow(0 0 8px #fff)';
     setTimeout(() => el.remove(), 400);
 
-    this.scoreManager?.increment(10);
+    this.hits++;
     this.nextLetter();
   }
 
   /**
    * Advances the current letter index and updates game state.
-   * Ends game if max advances reached, otherwise shifts letters and restarts timer.
+   * Endless mode forgets the passed target and its leaving tile, so long
+   * runs only keep the visible ones, takes a life for a timeout, ending
+   * the game when none are left, then spawns a new letter and speeds up. Otherwise the game
+   * ends if max advances reached. When MAX_ADVANCE is longer than a
+   * sequence, a fresh sequence is rendered once the current one runs out;
+   * otherwise shifts letters and restarts timer. Passing the last target
+   * of a sequence reports it as complete.
+   * @param {boolean} timedOut - Whether the letter fell instead of being typed.
    */
-  nextLetter() {
+  nextLetter(timedOut = false) {
     this.idx++;
-    if (this.idx >= CONFIG.MAX_ADVANCE) {
+    this.advanced++;
+    this.pos = 0;
+    if (!this.config.ENDLESS && this.idx >= this.seq.length) {
+      this.emit('sequenceComplete', { sequence: this.seq });
+    }
+
+    if (this.config.ENDLESS) {
+      this.seq.shift();
+      this.letters.shift();
+      this.idx--;
+      if (timedOut) {
+        this.lives--;
+        this.renderLives();
+        if (this.lives <= 0) return this.endGame();
+      }
+      this.speed = Math.max(this.speed * this.config.SPEEDUP, this.config.MIN_SPEED);
+      this.spawnTarget();
+    } else if (this.advanced >= this.config.MAX_ADVANCE) {
       return this.endGame();
+    } else if (this.idx >= this.seq.length) {
+      this.idx = 0;
+      this.newSequence();
+      return this.render();
     }
 
     this.shiftLetters();
@@ -229,10 +730,30 @@ export default class UyghurTypingGame {
   }
 
   /**
-   * Ends the game by removing event listeners and triggering game over callback.
+   * Stops the game without reporting a result, e.g. when the player
+   * leaves mid-game: removes the event listeners, timers and letters.
+   */
+  stop() {
+    this.running = false;
+    document.removeEventListener('keydown', this.keyHandler);
+    document.removeEventListener('compositionend', this.compositionHandler);
+    window.removeEventListener('resize', this.resizeHandler);
+    this.clearRender();
+  }
+
+  /**
+   * Ends the game by removing event listeners and emitting gameOver with
+   * how many targets were typed out of the total and the keystroke statistics.
    */
   endGame() {
+    this.running = false;
     document.removeEventListener('keydown', this.keyHandler);
-    this.onGameOver?.(this.scoreManager.getScore());
+    document.removeEventListener('compositionend', this.compositionHandler);
+    window.removeEventListener('resize', this.resizeHandler);
+    this.emit('gameOver', {
+      hits: this.hits,
+      total: this.advanced,
+      ...this.stats.summarize(),
+    });
   }
 }
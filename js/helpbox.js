@@ -1,11 +1,14 @@
 /**
  * helpbox.js — Modal Help Box with Uyghur Keyboard Guide
  *
- * Implements a reusable modal dialog that provides a visual guide
- * to the Uyghur keyboard layout and controls game start flow.
+ * Implements a reusable modal dialog that provides a live, colour-coded
+ * guide to the Uyghur keyboard layout and controls game start flow.
  * Includes accessible attributes and keyboard/mouse event handling.
  */
 
+import OnScreenKeyboard from './keyboard.js';
+import { translateTree } from './i18n.js';
+
 export default class HelpBox {
     /**
      * Creates the HelpBox instance and initializes modal elements and events.
@@ -39,19 +42,16 @@ export default class HelpBox {
   
       this.modal.innerHTML = `
         <div class="helpbox-content">
-          <button id="helpbox-close" class="helpbox-close" aria-label="Close Help">✖</button>
-          <h2 id="helpbox-title">ئۇيغۇرچە كۇنۇپكا ياردەمچىسى</h2>
-          <img 
-            src="/images/bg/utg_helpbox.png" 
-            alt="Uyghur Keyboard Map" 
-            loading="lazy" 
-            class="keyboard-map"
-          />
-          <button id="helpbox-ok" class="btn mt-2" aria-label="Start Game">باشلاش</button>
+          <button id="helpbox-close" class="helpbox-close" data-i18n-aria-label="help.close">✖</button>
+          <h2 id="helpbox-title" data-i18n="help.title"></h2>
+          <div id="helpbox-keyboard" class="keyboard-map"></div>
+          <button id="helpbox-ok" class="btn mt-2" data-i18n="help.start" data-i18n-aria-label="help.startGame"></button>
         </div>
       `;
+      translateTree(this.modal);
   
       this.parent.appendChild(this.modal);
+      this.keyboard = new OnScreenKeyboard(this.modal.querySelector('#helpbox-keyboard'));
     }
   
     /**
@@ -0,0 +1,176 @@
+/**
+ * i18n.js — Interface Language, Message Lookup and Number Formatting
+ *
+ * Looks up interface strings in the catalogs of messages.js for the
+ * current language, fills in their placeholders and formats numbers and
+ * dates for that language. Switching the language sets `lang` and `dir`
+ * on the page, re-translates elements marked with data-i18n attributes and
+ * tells subscribers so components can re-render their dynamic text.
+ *
+ * The Uyghur Latin (ULY) and Cyrillic (UKY) interfaces are transliterated
+ * from the Arabic-script catalog, so every Uyghur string exists once.
+ *
+ * Static markup names its messages with attributes, e.g.
+ *   <h2 data-i18n="pause.title"></h2>
+ *   <button data-i18n-aria-label="common.close">✖</button>
+ */
+
+import { MESSAGES } from './messages.js';
+import { toLatin, toCyrillic } from './letter.js';
+import EventEmitter from './events.js';
+
+/**
+ * Interface languages with their names (in their own script) and text direction.
+ */
+export const LANGUAGES = {
+  'ug-Arab': { name: 'ئۇيغۇرچە', dir: 'rtl' },
+  'ug-Latn': { name: 'Uyghurche', dir: 'ltr' },
+  'ug-Cyrl': { name: 'Уйғурчә', dir: 'ltr' },
+  en: { name: 'English', dir: 'ltr' },
+};
+
+export const DEFAULT_LANGUAGE = 'ug-Arab';
+
+/**
+ * Element attributes translated by translateTree, keyed by the data
+ * attribute that names the message.
+ */
+const TRANSLATED_ATTRIBUTES = {
+  'data-i18n-aria-label': 'aria-label',
+  'data-i18n-alt': 'alt',
+  'data-i18n-title': 'title',
+  'data-i18n-placeholder': 'placeholder',
+};
+
+/**
+ * Arabic punctuation replaced when transliterating the Uyghur catalog.
+ */
+const ARABIC_PUNCTUATION = { '،': ',', '؟': '?', '؛': ';' };
+
+let language = DEFAULT_LANGUAGE;
+const events = new EventEmitter();
+
+/**
+ * Transliterates a Uyghur catalog into the Latin or Cyrillic script,
+ * capitalizing the start of each sentence.
+ * @param {Object<string, string>} catalog - Arabic-script messages.
+ * @param {Function} transliterate - toLatin or toCyrillic.
+ * @returns {Object<string, string>} Messages in the target script.
+ */
+const transliterateCatalog = (catalog, transliterate) => Object.fromEntries(
+  Object.entries(catalog).map(([key, message]) => {
+    // Placeholders are kept as they are
+    const text = message
+      .split(/(\{\w+\})/)
+      .map(part => (part.startsWith('{') ? part : transliterate(part)))
+      .join('')
+      .replace(/[،؟؛]/g, char => ARABIC_PUNCTUATION[char])
+      .replace(/(^|[.!?]\s+)(\p{Ll})/gu, (match, start, letter) => start + letter.toUpperCase());
+    return [key, text];
+  })
+);
+
+/**
+ * Catalogs for every language, with the transliterated Uyghur ones added.
+ */
+const catalogs = {
+  ...MESSAGES,
+  'ug-Latn': transliterateCatalog(MESSAGES['ug-Arab'], toLatin),
+  'ug-Cyrl': transliterateCatalog(MESSAGES['ug-Arab'], toCyrillic),
+};
+
+/**
+ * Get the current interface language.
+ * @returns {string} Language code, a key of LANGUAGES.
+ */
+export const getLanguage = () => language;
+
+/**
+ * Formats a number for the current language.
+ * @param {number} value - Number to format.
+ * @param {Object} options - Intl.NumberFormat options.
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value, options = {}) => {
+  try {
+    return new Intl.NumberFormat(language, options).format(value);
+  } catch {
+    return String(value);
+  }
+};
+
+/**
+ * Formats a date for the current language.
+ * @param {Date|string} date - Date, or an ISO date string.
+ * @param {Object} options - Intl.DateTimeFormat options.
+ * @returns {string} The formatted date.
+ */
+export const formatDate = (date, options = { dateStyle: 'short', timeStyle: 'short' }) => {
+  try {
+    return new Intl.DateTimeFormat(language, options).format(new Date(date));
+  } catch {
+    return String(date);
+  }
+};
+
+/**
+ * Looks up a message in the current language, falling back to Uyghur and
+ * then to the key itself. Placeholders like {score} are replaced by the
+ * matching parameter; numbers are formatted for the language.
+ * @param {string} key - Message key from messages.js.
+ * @param {Object} params - Values for the message's placeholders.
+ * @returns {string} The message.
+ */
+export const t = (key, params = {}) => {
+  const message = catalogs[language]?.[key] ?? catalogs[DEFAULT_LANGUAGE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+};
+
+/**
+ * Translates root and every element under it that names a message with a
+ * data-i18n attribute: data-i18n sets the text, data-i18n-aria-label,
+ * -alt, -title and -placeholder set those attributes.
+ * @param {ParentNode} root - Element or document to translate.
+ */
+export const translateTree = (root = document) => {
+  const select = (selector) => [
+    ...(root.matches?.(selector) ? [root] : []),
+    ...root.querySelectorAll(selector),
+  ];
+
+  select('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  Object.entries(TRANSLATED_ATTRIBUTES).forEach(([source, target]) => {
+    select(`[${source}]`).forEach(element => {
+      element.setAttribute(target, t(element.getAttribute(source)));
+    });
+  });
+};
+
+/**
+ * Switches the interface language: sets `lang` and `dir` on the page,
+ * re-translates it and notifies subscribers. Unknown codes fall back to
+ * the default language.
+ * @param {string} code - Language code, a key of LANGUAGES.
+ */
+export const setLanguage = (code) => {
+  language = code in LANGUAGES ? code : DEFAULT_LANGUAGE;
+
+  const root = document.documentElement;
+  root.lang = language;
+  root.dir = LANGUAGES[language].dir;
+  translateTree(document);
+  events.emit('change', { language });
+};
+
+/**
+ * Subscribes to language changes, for components that render text with t().
+ * @param {Function} listener - Called with {language} after the language changed.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export const onLanguageChange = (listener) => events.on('change', listener);
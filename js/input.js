@@ -0,0 +1,103 @@
+/**
+ * input.js — Keyboard Input Mapping
+ *
+ * Translates keydown events into the characters they type. In OS layout
+ * mode the operating system's keyboard layout does the work and
+ * `event.key` is used as is. In built-in layout mode the physical key
+ * (`event.code`) is looked up in the game's own Uyghur layout table, so
+ * the game works on machines without a Uyghur layout installed.
+ * In OS layout mode it also watches for Latin letters, which mean the
+ * Uyghur layout is not active, and reports them so the player can switch.
+ *
+ * Shift, AltGr and dead keys type nothing by themselves, so they are never
+ * mistakes. Keystrokes an input method is still composing are skipped; the
+ * game reads the composed text from the compositionend event.
+ */
+
+import { layoutKeys } from './keyboard.js';
+
+export const INPUT_MODES = {
+  OS: 'os',             // Use the character produced by the OS layout
+  BUILTIN: 'builtin',   // Map physical keys through the built-in Uyghur layout
+};
+
+const LATIN_THRESHOLD = 3;   // Consecutive Latin letters before warning
+const LATIN_PATTERN = /^[a-z]$/i;
+const TEXT_PATTERN = /^(.|\P{ASCII}+)$/u;   // One character, or non-ASCII text from a multi-character key
+
+export default class InputMapper {
+  /**
+   * @param {Settings} settings - Shared settings holding the input mode; without
+   *   settings the mapper stays in OS layout mode.
+   */
+  constructor(settings = null) {
+    this.settings = settings;
+    this.latinCount = 0;            // Consecutive Latin letters typed in OS mode
+    this.onLatinInput = () => {};   // Callback invoked when Latin input is detected
+  }
+
+  /**
+   * Switch input mode and save it in the settings.
+   * @param {string} mode - One of INPUT_MODES.
+   */
+  setMode(mode) {
+    this.latinCount = 0;
+    this.settings?.set('inputMode', mode);
+  }
+
+  /**
+   * Get the current input mode.
+   * @returns {string} One of INPUT_MODES, defaulting to OS layout.
+   */
+  getMode() {
+    const mode = this.settings?.get('inputMode');
+    return Object.values(INPUT_MODES).includes(mode) ? mode : INPUT_MODES.OS;
+  }
+
+  /**
+   * Translates a keydown event into the text it types, usually one character.
+   * Modifier, dead, navigation and shortcut keys, auto-repeat and keystrokes
+   * of an ongoing IME composition give null. AltGr (reported as Ctrl+Alt on
+   * Windows) still types its layer's character.
+   * @param {KeyboardEvent} ev - The keydown event.
+   * @returns {string|null} The typed text, or null if nothing is typed.
+   */
+  translate(ev) {
+    if (ev.isComposing || ev.keyCode === 229 || ev.repeat) return null;
+    const altGraph = ev.getModifierState?.('AltGraph') ?? false;
+    if ((ev.ctrlKey || ev.metaKey || ev.altKey) && !altGraph) return null;
+
+    const mode = this.getMode();
+    const text = mode === INPUT_MODES.BUILTIN ? this.mapPhysicalKey(ev) : ev.key;
+    if (!text || !TEXT_PATTERN.test(text)) return null;
+
+    if (mode === INPUT_MODES.OS) this.detectLatin(text);
+    return text;
+  }
+
+  /**
+   * Looks up the physical key in the built-in Uyghur layout.
+   * Keys outside the layout (digits, punctuation) keep the OS character.
+   * @param {KeyboardEvent} ev - The keydown event.
+   * @returns {string|null} The mapped character, or null for unmapped Shift keys.
+   */
+  mapPhysicalKey(ev) {
+    const key = layoutKeys.find(({ code }) => code === ev.code);
+    if (!key) return ev.key;
+    return ev.shiftKey ? key.shift ?? null : key.base;
+  }
+
+  /**
+   * Counts consecutive Latin letters and reports them once the threshold is reached.
+   * @param {string} char - The typed character.
+   */
+  detectLatin(char) {
+    if (!LATIN_PATTERN.test(char)) {
+      this.latinCount = 0;
+      return;
+    }
+
+    this.latinCount++;
+    if (this.latinCount === LATIN_THRESHOLD) this.onLatinInput();
+  }
+}
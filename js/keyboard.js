@@ -0,0 +1,248 @@
+/**
+ * keyboard.js — Interactive On-Screen Uyghur Keyboard
+ *
+ * Defines the standard Uyghur (UKY / Windows Uyghur) keyboard layout and
+ * renders it as a live DOM keyboard. The keyboard can highlight the key
+ * for the next expected character, flash keys green or red on each press,
+ * and shows which finger should press the highlighted key. Given a press
+ * callback it also works as a touch keyboard, with Shift latching for the
+ * next key.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Uyghur keyboard layout, row by row from the top letter row.
+ * Each key has its physical `code`, the character typed without Shift
+ * (`base`), the character typed with Shift (`shift`, if any) and the
+ * finger that presses it; finger names are the `finger.<finger>` messages.
+ * Rows are listed left to right as on the physical keyboard.
+ */
+const LAYOUT = [
+  [
+    { code: 'KeyQ', base: 'چ', finger: 'left-pinky' },
+    { code: 'KeyW', base: 'ۋ', finger: 'left-ring' },
+    { code: 'KeyE', base: 'ې', finger: 'left-middle' },
+    { code: 'KeyR', base: 'ر', finger: 'left-index' },
+    { code: 'KeyT', base: 'ت', finger: 'left-index' },
+    { code: 'KeyY', base: 'ي', finger: 'right-index' },
+    { code: 'KeyU', base: 'ۇ', finger: 'right-index' },
+    { code: 'KeyI', base: 'ڭ', finger: 'right-middle' },
+    { code: 'KeyO', base: 'و', finger: 'right-ring' },
+    { code: 'KeyP', base: 'پ', finger: 'right-pinky' },
+  ],
+  [
+    { code: 'KeyA', base: 'ھ', finger: 'left-pinky' },
+    { code: 'KeyS', base: 'س', finger: 'left-ring' },
+    { code: 'KeyD', base: 'د', shift: 'ژ', finger: 'left-middle' },
+    { code: 'KeyF', base: 'ا', shift: 'ف', finger: 'left-index' },
+    { code: 'KeyG', base: 'ە', shift: 'گ', finger: 'left-index' },
+    { code: 'KeyH', base: 'ى', shift: 'خ', finger: 'right-index' },
+    { code: 'KeyJ', base: 'ق', shift: 'ج', finger: 'right-index' },
+    { code: 'KeyK', base: 'ك', shift: 'ۆ', finger: 'right-middle' },
+    { code: 'KeyL', base: 'ل', finger: 'right-ring' },
+    { code: 'Semicolon', base: '؛', finger: 'right-pinky' },
+  ],
+  [
+    { code: 'KeyZ', base: 'ز', finger: 'left-pinky' },
+    { code: 'KeyX', base: 'ش', finger: 'left-ring' },
+    { code: 'KeyC', base: 'غ', finger: 'left-middle' },
+    { code: 'KeyV', base: 'ۈ', finger: 'left-index' },
+    { code: 'KeyB', base: 'ب', finger: 'left-index' },
+    { code: 'KeyN', base: 'ن', finger: 'right-index' },
+    { code: 'KeyM', base: 'م', finger: 'right-index' },
+    { code: 'Comma', base: '،', finger: 'right-middle' },
+    { code: 'Period', base: '.', finger: 'right-ring' },
+    { code: 'Slash', base: 'ئ', shift: '؟', finger: 'right-pinky' },
+  ],
+  [
+    { code: 'Space', base: ' ', finger: 'thumb' },
+  ],
+];
+
+/**
+ * Exported flat list of all layout keys for external use.
+ */
+export const layoutKeys = LAYOUT.flat();
+
+/**
+ * Finds the layout key that types a character.
+ * @param {string} char - The character to look up.
+ * @returns {{ key: Object, shift: boolean }|null} The key and whether Shift is needed.
+ */
+export const findKey = (char) => {
+  const key = layoutKeys.find(({ base, shift }) => base === char || shift === char);
+  return key ? { key, shift: key.shift === char } : null;
+};
+
+const FLASH_DURATION = 300; // Time in ms a key stays green or red after a press
+
+export default class OnScreenKeyboard {
+  /**
+   * Creates the keyboard and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the keyboard to.
+   * @param {string} id - Optional id for the keyboard element.
+   * @param {Function} onPress - Optional callback making keys pressable; called
+   *   with { code, key, shiftKey } for each pressed key.
+   */
+  constructor(parent, id = '', onPress = null) {
+    this.parent = parent;
+    this.id = id;
+    this.onPress = onPress;
+    this.shifted = false; // Shift latched for the next pressed key
+    this.createKeyboard();
+    if (onPress) this.attachEvents();
+  }
+
+  /**
+   * Builds the keyboard DOM: one row element per layout row plus Shift keys
+   * on the bottom letter row, and a hint line naming the finger to use.
+   */
+  createKeyboard() {
+    this.element = document.createElement('div');
+    if (this.id) this.element.id = this.id;
+    this.element.className = 'uy-keyboard';
+    this.element.setAttribute('aria-hidden', 'true'); // Visual aid only
+    this.element.dir = 'ltr'; // Keep the physical key order
+
+    this.keyElements = new Map(); // code -> key element
+    this.shiftElements = [];
+
+    LAYOUT.forEach((row, rowIndex) => {
+      const rowElement = document.createElement('div');
+      rowElement.className = 'uy-keyboard-row';
+
+      const isShiftRow = rowIndex === 2;
+      if (isShiftRow) rowElement.appendChild(this.createShiftKey());
+
+      row.forEach(key => rowElement.appendChild(this.createKey(key)));
+
+      if (isShiftRow) rowElement.appendChild(this.createShiftKey());
+      this.element.appendChild(rowElement);
+    });
+
+    this.fingerHint = document.createElement('p');
+    this.fingerHint.className = 'uy-keyboard-hint';
+    this.element.appendChild(this.fingerHint);
+
+    this.parent.appendChild(this.element);
+  }
+
+  /**
+   * Makes keys pressable by touch or mouse. Presses are handled on
+   * pointerdown so typing stays quick and the page does not take focus.
+   */
+  attachEvents() {
+    this.element.classList.add('pressable');
+    this.element.addEventListener('pointerdown', (event) => {
+      const keyElement = event.target.closest('.uy-key');
+      if (!keyElement) return;
+      event.preventDefault();
+
+      if (keyElement.classList.contains('uy-key-shift-key')) {
+        this.setShifted(!this.shifted);
+        return;
+      }
+
+      const key = layoutKeys.find(({ code }) => code === keyElement.dataset.code);
+      const char = this.shifted ? key.shift : key.base;
+      const shiftKey = this.shifted;
+      this.setShifted(false);
+      if (char) this.onPress({ code: key.code, key: char, shiftKey });
+    });
+  }
+
+  /**
+   * Latches or releases Shift for the next pressed key.
+   * @param {boolean} shifted - Whether Shift is latched.
+   */
+  setShifted(shifted) {
+    this.shifted = shifted;
+    this.shiftElements.forEach(el => el.classList.toggle('latched', shifted));
+  }
+
+  /**
+   * Creates the element for a single layout key.
+   * @param {Object} key - Layout key.
+   * @returns {HTMLElement} The key element.
+   */
+  createKey({ code, base, shift, finger }) {
+    const keyElement = document.createElement('div');
+    keyElement.className = `uy-key finger-${finger}`;
+    if (code === 'Space') keyElement.classList.add('uy-key-space');
+    keyElement.dataset.code = code;
+    keyElement.innerHTML = `
+      <span class="uy-key-base">${base}</span>
+      <span class="uy-key-shift">${shift ?? ''}</span>
+    `;
+
+    this.keyElements.set(code, keyElement);
+    return keyElement;
+  }
+
+  /**
+   * Creates a Shift key element.
+   * @returns {HTMLElement} The Shift key element.
+   */
+  createShiftKey() {
+    const keyElement = document.createElement('div');
+    keyElement.className = 'uy-key uy-key-shift-key';
+    keyElement.textContent = 'Shift';
+    this.shiftElements.push(keyElement);
+    return keyElement;
+  }
+
+  /**
+   * Follows a game: highlights the key to press next and flashes typed keys.
+   * @param {UyghurTypingGame} game - Game to follow.
+   */
+  connect(game) {
+    game.on('letterShown', ({ target }) => this.highlight(target.keys[0]));
+    game.on('hit', ({ char, next }) => {
+      this.flash(char, true);
+      if (next) this.highlight(next);
+    });
+    game.on('miss', ({ actual }) => this.flash(actual, false));
+    game.on('gameOver', () => this.highlight(null));
+  }
+
+  /**
+   * Highlights the key for the next expected character, plus Shift when the
+   * character is on the Shift layer, and names the finger to use.
+   * @param {string|null} char - Next expected character, or null to clear.
+   */
+  highlight(char) {
+    this.element.querySelectorAll('.uy-key.next').forEach(el => el.classList.remove('next'));
+    this.fingerHint.textContent = '';
+
+    const found = char ? findKey(char) : null;
+    if (!found) return;
+
+    this.keyElements.get(found.key.code).classList.add('next');
+    if (found.shift) this.shiftElements.forEach(el => el.classList.add('next'));
+    this.fingerHint.textContent = t(`finger.${found.key.finger}`);
+  }
+
+  /**
+   * Briefly flashes the key for a pressed character green or red.
+   * @param {string} char - The character that was typed.
+   * @param {boolean} correct - Whether the keystroke was correct.
+   */
+  flash(char, correct) {
+    const found = findKey(char);
+    if (!found) return;
+
+    const keyElement = this.keyElements.get(found.key.code);
+    const className = correct ? 'hit' : 'miss';
+    keyElement.classList.add(className);
+    setTimeout(() => keyElement.classList.remove(className), FLASH_DURATION);
+  }
+
+  /**
+   * Shows or hides the keyboard.
+   * @param {boolean} visible - Whether the keyboard should be visible.
+   */
+  setVisible(visible) {
+    this.element.style.display = visible ? '' : 'none';
+  }
+}
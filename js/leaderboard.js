@@ -0,0 +1,117 @@
+/**
+ * leaderboard.js — Player Profiles and Local Score History
+ *
+ * Stores every finished game (player, score, date, mode, level, accuracy)
+ * in localStorage and keeps a list of named player profiles, so several
+ * students can share one classroom machine. Provides the top results for
+ * the home screen table and detects new personal bests.
+ */
+
+const PLAYERS_KEY = 'uyghurTypingPlayers';
+const CURRENT_PLAYER_KEY = 'uyghurTypingCurrentPlayer';
+const RESULTS_KEY = 'uyghurTypingResults';
+
+export const DEFAULT_PLAYER = 'مېھمان'; // "Guest", used until a named profile is created; shown translated
+const MAX_RESULTS = 500;           // Number of past games kept in history
+
+/**
+ * Parse a JSON value from localStorage.
+ * @param {string} key - Storage key.
+ * @param {*} fallback - Value returned when nothing valid is stored.
+ * @returns {*} The parsed value or the fallback.
+ */
+const loadJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export default class Leaderboard {
+  constructor() {
+    this.players = loadJSON(PLAYERS_KEY, [DEFAULT_PLAYER]);
+    this.results = loadJSON(RESULTS_KEY, []);
+    this.currentPlayer = localStorage.getItem(CURRENT_PLAYER_KEY) ?? this.players[0];
+    if (!this.players.includes(this.currentPlayer)) this.players.push(this.currentPlayer);
+  }
+
+  /**
+   * Get all player profile names.
+   * @returns {string[]} Player names in creation order.
+   */
+  getPlayers() {
+    return [...this.players];
+  }
+
+  /**
+   * Get the active player's name.
+   * @returns {string} Current player name.
+   */
+  getCurrentPlayer() {
+    return this.currentPlayer;
+  }
+
+  /**
+   * Create a player profile if needed and make it the active player.
+   * @param {string} name - Player name.
+   * @returns {boolean} False if the name is empty.
+   */
+  setCurrentPlayer(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return false;
+
+    if (!this.players.includes(trimmed)) {
+      this.players.push(trimmed);
+      localStorage.setItem(PLAYERS_KEY, JSON.stringify(this.players));
+    }
+    this.currentPlayer = trimmed;
+    localStorage.setItem(CURRENT_PLAYER_KEY, trimmed);
+    return true;
+  }
+
+  /**
+   * Best score of a player in a mode and level.
+   * @param {string} player - Player name.
+   * @param {string} mode - Practice mode.
+   * @param {number|string} level - Level or lesson drill id.
+   * @returns {number|null} Best score, or null if the player has no games in that mode and level.
+   */
+  getPersonalBest(player, mode, level) {
+    const scores = this.results
+      .filter(result => result.player === player && result.mode === mode && result.level === level)
+      .map(({ score }) => score);
+    return scores.length ? Math.max(...scores) : null;
+  }
+
+  /**
+   * Save a finished game for the current player.
+   * @param {Object} game - Finished game as { score, mode, level, accuracy }.
+   * @returns {Object} The stored result with `isPersonalBest` set when it beats the player's best.
+   */
+  addResult({ score, mode, level, accuracy }) {
+    const best = this.getPersonalBest(this.currentPlayer, mode, level);
+    const result = {
+      player: this.currentPlayer,
+      score,
+      date: new Date().toISOString(),
+      mode,
+      level,
+      accuracy,
+    };
+
+    this.results = [...this.results, result].slice(-MAX_RESULTS);
+    localStorage.setItem(RESULTS_KEY, JSON.stringify(this.results));
+
+    return { ...result, isPersonalBest: score > 0 && (best === null || score > best) };
+  }
+
+  /**
+   * Highest scoring games across all players.
+   * @param {number} count - Number of results to return.
+   * @returns {Object[]} Results sorted by score, highest first.
+   */
+  getTopResults(count = 5) {
+    return [...this.results].sort((a, b) => b.score - a.score).slice(0, count);
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * leaderboardview.js — Home Screen Leaderboard Panel
+ *
+ * Shows a player picker for switching between named profiles on a shared
+ * machine, a small form for adding a new player, and a table of the top
+ * scoring games.
+ */
+
+import { DEFAULT_PLAYER } from './leaderboard.js';
+import { t, formatNumber, translateTree, onLanguageChange } from './i18n.js';
+
+const TOP_COUNT = 5;              // Number of rows in the top results table
+const NEW_PLAYER_VALUE = '__new'; // Select option value that opens the new player form
+
+export default class LeaderboardView {
+  /**
+   * Creates the panel and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the panel to.
+   * @param {Leaderboard} leaderboard - Leaderboard holding players and results.
+   */
+  constructor(parent = document.body, leaderboard) {
+    this.parent = parent;
+    this.leaderboard = leaderboard;
+
+    this.createPanel();
+    this.cacheElements();
+    this.attachEvents();
+    this.render();
+    onLanguageChange(() => this.render());
+  }
+
+  /**
+   * Builds the panel DOM structure.
+   */
+  createPanel() {
+    this.panel = document.createElement('section');
+    this.panel.id = 'leaderboard-panel';
+    this.panel.setAttribute('aria-labelledby', 'leaderboard-title');
+
+    this.panel.innerHTML = `
+      <label for="player-select" data-i18n="leaderboard.player"></label>
+      <select id="player-select"></select>
+      <form id="new-player-form" hidden>
+        <input id="new-player-name" type="text" maxlength="24" data-i18n-placeholder="leaderboard.yourName" />
+        <button type="submit" class="btn" data-i18n="common.save"></button>
+      </form>
+      <h3 id="leaderboard-title" data-i18n="leaderboard.title"></h3>
+      <table class="leaderboard-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th data-i18n="leaderboard.player"></th>
+            <th data-i18n="leaderboard.score"></th>
+            <th data-i18n="leaderboard.accuracy"></th>
+          </tr>
+        </thead>
+        <tbody id="leaderboard-rows"></tbody>
+      </table>
+    `;
+    translateTree(this.panel);
+
+    this.parent.appendChild(this.panel);
+  }
+
+  /**
+   * Caches panel elements for event binding and rendering.
+   */
+  cacheElements() {
+    this.playerSelect = this.panel.querySelector('#player-select');
+    this.newPlayerForm = this.panel.querySelector('#new-player-form');
+    this.newPlayerInput = this.panel.querySelector('#new-player-name');
+    this.rows = this.panel.querySelector('#leaderboard-rows');
+  }
+
+  /**
+   * Switches players from the picker and saves new player names.
+   */
+  attachEvents() {
+    this.playerSelect.addEventListener('change', () => {
+      const value = this.playerSelect.value;
+      if (value === NEW_PLAYER_VALUE) {
+        this.newPlayerForm.hidden = false;
+        this.newPlayerInput.focus();
+        return;
+      }
+      this.leaderboard.setCurrentPlayer(value);
+    });
+
+    this.newPlayerForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (this.leaderboard.setCurrentPlayer(this.newPlayerInput.value)) {
+        this.newPlayerInput.value = '';
+        this.newPlayerForm.hidden = true;
+      }
+      this.render();
+    });
+  }
+
+  /**
+   * Re-renders the player picker and the top results table.
+   * Text is set with textContent since player names are user input.
+   */
+  render() {
+    this.playerSelect.innerHTML = '';
+    this.leaderboard.getPlayers().forEach(name => {
+      this.playerSelect.appendChild(new Option(this.displayName(name), name));
+    });
+    this.playerSelect.appendChild(new Option(t('leaderboard.newPlayer'), NEW_PLAYER_VALUE));
+    this.playerSelect.value = this.leaderboard.getCurrentPlayer();
+
+    this.rows.innerHTML = '';
+    const results = this.leaderboard.getTopResults(TOP_COUNT);
+    if (!results.length) {
+      const row = this.rows.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 4;
+      cell.textContent = t('leaderboard.empty');
+      return;
+    }
+
+    results.forEach(({ player, score, accuracy }, i) => {
+      const row = this.rows.insertRow();
+      const values = [
+        formatNumber(i + 1),
+        this.displayName(player),
+        formatNumber(score),
+        formatNumber(accuracy / 100, { style: 'percent' }),
+      ];
+      values.forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+  }
+
+  /**
+   * Name shown for a player; the default guest profile is translated.
+   * @param {string} name - Stored player name.
+   * @returns {string} Display name.
+   */
+  displayName(name) {
+    return name === DEFAULT_PLAYER ? t('leaderboard.guest') : name;
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * lessoneditor.js — Lesson Editor Modal
+ *
+ * A modal form for building a lesson drill by drill: letter subset, word
+ * list or fixed sequence, and optional timing and pass criteria. Lessons
+ * are checked with the same validation as imported files, then saved in
+ * the browser or exported as a JSON file to share with a class.
+ */
+
+import { LESSON_MODES, parseLesson, exportLesson } from './lessons.js';
+import { TRANSLITERATION_SCRIPTS } from './letter.js';
+import { t, translateTree } from './i18n.js';
+
+/**
+ * Delays are stored in milliseconds but edited in seconds; the pass
+ * ratio is edited as a percentage.
+ */
+const SECONDS_FIELDS = ['FLICKER_DELAY', 'FALL_DELAY'];
+const PERCENT_FIELDS = ['PASS_RATIO', 'HAMZA_SHARE'];
+const NUMBER_FIELDS = ['LETTER_COUNT', 'MAX_ADVANCE', ...SECONDS_FIELDS, 'MISS_PENALTY', ...PERCENT_FIELDS];
+
+/**
+ * Modes that take a word list; their fixed sequences are entered one per line.
+ */
+const WORD_MODES = ['words', 'transliteration'];
+
+/**
+ * Factor from a form value to the value stored in the lesson.
+ * @param {string} key - Number field name.
+ * @returns {number} Scale factor.
+ */
+const fieldScale = (key) => {
+  if (SECONDS_FIELDS.includes(key)) return 1000;
+  return PERCENT_FIELDS.includes(key) ? 0.01 : 1;
+};
+
+export default class LessonEditor {
+  /**
+   * Creates the modal and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the modal to.
+   * @param {Function} onSave - Called with the validated lesson when it is saved.
+   */
+  constructor(parent = document.body, onSave = () => {}) {
+    this.parent = parent;
+    this.onSave = onSave;
+    this.lessonId = null; // Id of the lesson being edited, null for a new one
+
+    this.createModal();
+    this.cacheElements();
+    this.attachEvents();
+    this.hide();
+  }
+
+  /**
+   * Builds the modal DOM structure with accessibility attributes.
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'lesson-editor-modal';
+    this.modal.className = 'helpbox-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', 'lesson-editor-title');
+
+    this.modal.innerHTML = `
+      <div class="helpbox-content">
+        <button id="lesson-editor-close" class="helpbox-close" data-i18n-aria-label="common.close">✖</button>
+        <h2 id="lesson-editor-title" data-i18n="editor.title"></h2>
+        <form id="lesson-editor-form" class="settings-form">
+          <label class="lesson-name"><span data-i18n="editor.lessonName"></span>
+            <input type="text" id="lesson-name" maxlength="60" required />
+          </label>
+          <div id="lesson-drills" class="lesson-drills"></div>
+          <p id="lesson-editor-error" class="settings-error" role="alert" hidden></p>
+          <div class="settings-actions">
+            <button type="button" id="lesson-add-drill" class="btn" data-i18n="editor.addDrill"></button>
+            <button type="submit" class="btn" data-i18n="common.save"></button>
+            <button type="button" id="lesson-editor-export" class="btn" data-i18n="lessons.export"></button>
+          </div>
+        </form>
+      </div>
+    `;
+    translateTree(this.modal);
+
+    this.parent.appendChild(this.modal);
+  }
+
+  /**
+   * Caches modal elements for event binding and form updates.
+   */
+  cacheElements() {
+    this.closeBtn = this.modal.querySelector('#lesson-editor-close');
+    this.form = this.modal.querySelector('#lesson-editor-form');
+    this.nameInput = this.modal.querySelector('#lesson-name');
+    this.drillList = this.modal.querySelector('#lesson-drills');
+    this.addDrillBtn = this.modal.querySelector('#lesson-add-drill');
+    this.exportBtn = this.modal.querySelector('#lesson-editor-export');
+    this.error = this.modal.querySelector('#lesson-editor-error');
+  }
+
+  /**
+   * Binds the form buttons; close button and backdrop clicks hide the modal.
+   */
+  attachEvents() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.hide();
+    });
+
+    this.addDrillBtn.addEventListener('click', () => this.addDrill());
+    this.drillList.addEventListener('click', (event) => {
+      if (!event.target.closest('.lesson-remove-drill')) return;
+
+      event.target.closest('fieldset').remove();
+      this.numberDrills();
+    });
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const lesson = this.readLesson();
+      if (!lesson) return;
+
+      this.onSave(lesson);
+      this.hide();
+    });
+
+    this.exportBtn.addEventListener('click', () => {
+      const lesson = this.readLesson();
+      if (lesson) exportLesson(lesson);
+    });
+  }
+
+  /**
+   * Appends the fields for one drill.
+   * @param {Object} drill - Drill to fill the fields with.
+   */
+  addDrill(drill = {}) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'lesson-drill';
+    fieldset.innerHTML = `
+      <legend></legend>
+      <label><span data-i18n="editor.drillName"></span> <input type="text" name="name" maxlength="40" /></label>
+      <label><span data-i18n="editor.mode"></span>
+        <select name="mode">
+          ${LESSON_MODES.map(mode => `<option value="${mode}" data-i18n="mode.${mode}"></option>`).join('')}
+        </select>
+      </label>
+      <label><span data-i18n="editor.letters"></span>
+        <input type="text" name="letters" placeholder="ا ە ب ت" />
+      </label>
+      <label><span data-i18n="editor.words"></span>
+        <textarea name="words" rows="3"></textarea>
+      </label>
+      <label><span data-i18n="editor.sequence"></span>
+        <textarea name="sequence" rows="2"></textarea>
+      </label>
+      <label><span data-i18n="settings.letterCount"></span>
+        <input type="number" name="LETTER_COUNT" min="1" max="12" />
+      </label>
+      <label><span data-i18n="settings.maxAdvance"></span>
+        <input type="number" name="MAX_ADVANCE" min="1" max="100" />
+      </label>
+      <label><span data-i18n="settings.flickerDelay"></span>
+        <input type="number" name="FLICKER_DELAY" min="1" max="60" step="0.5" />
+      </label>
+      <label><span data-i18n="settings.fallDelay"></span>
+        <input type="number" name="FALL_DELAY" min="1" max="60" step="0.5" />
+      </label>
+      <label><span data-i18n="settings.missPenalty"></span>
+        <input type="number" name="MISS_PENALTY" min="0" max="100" />
+      </label>
+      <label><span data-i18n="editor.passRatio"></span>
+        <input type="number" name="PASS_RATIO" min="0" max="100" />
+      </label>
+      <label><span data-i18n="editor.hamzaShare"></span>
+        <input type="number" name="HAMZA_SHARE" min="0" max="100" />
+      </label>
+      <label><span data-i18n="settings.promptScript"></span>
+        <select name="PROMPT_SCRIPT">
+          <option value=""></option>
+          ${TRANSLITERATION_SCRIPTS.map(script => `<option value="${script}" data-i18n="script.${script}"></option>`).join('')}
+        </select>
+      </label>
+      <button type="button" class="btn lesson-remove-drill" data-i18n="editor.removeDrill"></button>
+    `;
+    translateTree(fieldset);
+
+    const fields = fieldset.elements;
+    const isWords = WORD_MODES.includes(drill.mode);
+    fields.namedItem('name').value = drill.name ?? '';
+    fields.namedItem('mode').value = drill.mode ?? LESSON_MODES[0];
+    fields.namedItem('letters').value = drill.letters?.join(' ') ?? '';
+    fields.namedItem('words').value = drill.words?.join('\n') ?? '';
+    fields.namedItem('sequence').value = drill.sequence?.join(isWords ? '\n' : ' ') ?? '';
+    fields.namedItem('PROMPT_SCRIPT').value = drill.PROMPT_SCRIPT ?? '';
+    NUMBER_FIELDS.forEach(key => {
+      if (drill[key] !== undefined) fields.namedItem(key).value = Math.round(drill[key] / fieldScale(key) * 100) / 100;
+    });
+
+    this.drillList.appendChild(fieldset);
+    this.numberDrills();
+  }
+
+  /**
+   * Numbers the drill legends after drills were added or removed.
+   */
+  numberDrills() {
+    this.drillList.querySelectorAll('legend').forEach((legend, index) => {
+      legend.textContent = t('lessons.drillNumber', { number: index + 1 });
+    });
+  }
+
+  /**
+   * Reads one drill's fields. Blank fields are left out so the game
+   * defaults apply.
+   * @param {HTMLFieldSetElement} fieldset - The drill's fields.
+   * @returns {Object} Drill in the lesson file format.
+   */
+  readDrill(fieldset) {
+    const fields = fieldset.elements;
+    const mode = fields.namedItem('mode').value;
+    const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+    const chars = (text) => [...text].filter(char => char.trim());
+
+    const drill = { name: fields.namedItem('name').value.trim(), mode };
+    const letters = chars(fields.namedItem('letters').value);
+    const words = lines(fields.namedItem('words').value);
+    const sequenceText = fields.namedItem('sequence').value;
+    const isWords = WORD_MODES.includes(mode);
+    const sequence = isWords ? lines(sequenceText) : chars(sequenceText);
+    const promptScript = fields.namedItem('PROMPT_SCRIPT').value;
+    if (letters.length) drill.letters = letters;
+    if (words.length && isWords) drill.words = words;
+    if (sequence.length) drill.sequence = sequence;
+    if (promptScript) drill.PROMPT_SCRIPT = promptScript;
+
+    NUMBER_FIELDS.forEach(key => {
+      const { value } = fields.namedItem(key);
+      if (value !== '') drill[key] = Math.round(value * fieldScale(key) * 100) / 100;
+    });
+    return drill;
+  }
+
+  /**
+   * Reads and validates the whole form, showing the first problem found.
+   * @returns {Object|null} The validated lesson, or null if it is invalid.
+   */
+  readLesson() {
+    try {
+      const lesson = parseLesson({
+        id: this.lessonId ?? `lesson-${Date.now()}`,
+        name: this.nameInput.value,
+        drills: [...this.drillList.querySelectorAll('fieldset')].map(fieldset => this.readDrill(fieldset)),
+      });
+      this.lessonId = lesson.id;
+      this.error.hidden = true;
+      return lesson;
+    } catch (error) {
+      this.error.textContent = error.message;
+      this.error.hidden = false;
+      return null;
+    }
+  }
+
+  /**
+   * Displays the modal for a lesson, or an empty lesson with one drill.
+   * @param {Object|null} lesson - Saved lesson to edit, or null to create one.
+   */
+  show(lesson = null) {
+    this.lessonId = lesson?.id ?? null;
+    this.nameInput.value = lesson?.name ?? '';
+    this.drillList.innerHTML = '';
+    (lesson?.drills ?? [{}]).forEach(drill => this.addDrill(drill));
+    this.error.hidden = true;
+
+    this.modal.style.display = 'flex';
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hides the modal.
+   */
+  hide() {
+    this.modal.style.display = 'none';
+    this.modal.classList.remove('visible');
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * lessonlist.js — Lesson Picker for the Home Screen
+ *
+ * Lists the teacher lessons saved in this browser and the drills of the
+ * selected one. Drills unlock in order like levels; while a lesson is
+ * selected its drills replace the mode and level pickers. Also imports
+ * lesson files and offers creating, editing, exporting and deleting
+ * lessons.
+ */
+
+import {
+  loadLessons, getLesson, saveLesson, deleteLesson, getLessonDrills,
+  loadUnlockedDrills, readLessonFile, exportLesson,
+} from './lessons.js';
+import { t, translateTree, onLanguageChange } from './i18n.js';
+
+const SELECTED_LESSON_KEY = 'uyghurTypingSelectedLesson';
+const LOCK_ICON = '🔒';
+
+export default class LessonList {
+  /**
+   * Creates the lesson picker and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the picker to.
+   * @param {Function} onChange - Called with the selected drill, or null for free practice.
+   * @param {Function} onEdit - Called with a lesson to edit, or null to create one.
+   * @param {Function} onMessage - Called with a message for the player, e.g. an import error.
+   */
+  constructor(parent = document.body, onChange = () => {}, onEdit = () => {}, onMessage = () => {}) {
+    this.parent = parent;
+    this.onChange = onChange;
+    this.onEdit = onEdit;
+    this.onMessage = onMessage;
+    this.lessonId = localStorage.getItem(SELECTED_LESSON_KEY) ?? '';
+    this.drillIndex = 0;
+
+    this.createPanel();
+    this.cacheElements();
+    this.attachEvents();
+    this.refresh(true);
+    onLanguageChange(() => this.render());
+  }
+
+  /**
+   * Builds the panel DOM structure.
+   */
+  createPanel() {
+    this.panel = document.createElement('section');
+    this.panel.id = 'lesson-panel';
+    this.panel.setAttribute('aria-labelledby', 'lesson-title');
+
+    this.panel.innerHTML = `
+      <h3 id="lesson-title" data-i18n="lessons.title"></h3>
+      <select id="lesson-select" aria-labelledby="lesson-title"></select>
+      <div id="drill-select" role="radiogroup" data-i18n-aria-label="lessons.drill"></div>
+      <div class="lesson-actions">
+        <button type="button" id="lesson-import" class="btn" data-i18n="lessons.import"></button>
+        <button type="button" id="lesson-new" class="btn" data-i18n="lessons.new"></button>
+        <button type="button" id="lesson-edit" class="btn" data-i18n="lessons.edit"></button>
+        <button type="button" id="lesson-export" class="btn" data-i18n="lessons.export"></button>
+        <button type="button" id="lesson-delete" class="btn" data-i18n="lessons.delete"></button>
+      </div>
+      <input type="file" id="lesson-file" accept=".json,application/json" hidden />
+    `;
+    translateTree(this.panel);
+
+    this.parent.appendChild(this.panel);
+  }
+
+  /**
+   * Caches panel elements for event binding and rendering.
+   */
+  cacheElements() {
+    this.lessonSelect = this.panel.querySelector('#lesson-select');
+    this.drillGroup = this.panel.querySelector('#drill-select');
+    this.importBtn = this.panel.querySelector('#lesson-import');
+    this.newBtn = this.panel.querySelector('#lesson-new');
+    this.editBtn = this.panel.querySelector('#lesson-edit');
+    this.exportBtn = this.panel.querySelector('#lesson-export');
+    this.deleteBtn = this.panel.querySelector('#lesson-delete');
+    this.fileInput = this.panel.querySelector('#lesson-file');
+  }
+
+  /**
+   * Binds the lesson picker, drill buttons and lesson actions.
+   */
+  attachEvents() {
+    this.lessonSelect.addEventListener('change', () => this.select(this.lessonSelect.value));
+
+    this.drillGroup.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-drill]');
+      if (!button || button.disabled) return;
+
+      this.drillIndex = Number(button.dataset.drill);
+      this.render();
+    });
+
+    this.importBtn.addEventListener('click', () => this.fileInput.click());
+    this.fileInput.addEventListener('change', () => {
+      const [file] = this.fileInput.files;
+      this.fileInput.value = ''; // Allow choosing the same file again
+      if (file) this.importFile(file);
+    });
+
+    this.newBtn.addEventListener('click', () => this.onEdit(null));
+    this.editBtn.addEventListener('click', () => this.onEdit(this.getLesson()));
+    this.exportBtn.addEventListener('click', () => exportLesson(this.getLesson()));
+    this.deleteBtn.addEventListener('click', () => {
+      const lesson = this.getLesson();
+      if (!window.confirm(t('lessons.confirmDelete', { name: lesson.name }))) return;
+
+      deleteLesson(lesson.id);
+      this.select('');
+    });
+  }
+
+  /**
+   * Imports a lesson file chosen by the teacher and selects it.
+   * @param {File} file - JSON lesson file.
+   */
+  async importFile(file) {
+    try {
+      this.addLesson(await readLessonFile(file));
+    } catch (error) {
+      this.onMessage(error.message);
+    }
+  }
+
+  /**
+   * Saves a lesson, replacing one with the same id, and selects it.
+   * @param {Object} lesson - Validated lesson from lessons.js.
+   */
+  addLesson(lesson) {
+    saveLesson(lesson);
+    this.select(lesson.id);
+    this.onMessage(t('lessons.saved', { name: lesson.name }));
+  }
+
+  /**
+   * Selects a lesson, or free practice for an empty id, and jumps to its
+   * highest unlocked drill.
+   * @param {string} id - Lesson id.
+   */
+  select(id) {
+    this.lessonId = id;
+    if (id) localStorage.setItem(SELECTED_LESSON_KEY, id);
+    else localStorage.removeItem(SELECTED_LESSON_KEY);
+    this.refresh(true);
+  }
+
+  /**
+   * Re-reads saved lessons and drill progress, then re-renders.
+   * Call after a drill has been passed so the next drill unlocks.
+   * @param {boolean} selectHighest - Whether to jump to the highest unlocked drill.
+   */
+  refresh(selectHighest = false) {
+    const lesson = this.getLesson();
+    if (!lesson) this.lessonId = '';
+
+    const unlocked = lesson ? loadUnlockedDrills(lesson) : 1;
+    if (selectHighest || this.drillIndex >= unlocked) this.drillIndex = unlocked - 1;
+    this.render();
+  }
+
+  /**
+   * Renders the lesson options, the drill buttons and the action buttons.
+   * Names are set with textContent since lessons come from files.
+   */
+  render() {
+    this.lessonSelect.innerHTML = '';
+    this.lessonSelect.appendChild(new Option(t('lessons.freePractice'), ''));
+    loadLessons().forEach(({ id, name }) => this.lessonSelect.appendChild(new Option(name, id)));
+    this.lessonSelect.value = this.lessonId;
+
+    const lesson = this.getLesson();
+    [this.editBtn, this.exportBtn, this.deleteBtn].forEach(button => {
+      button.disabled = !lesson;
+    });
+
+    this.drillGroup.innerHTML = '';
+    this.drillGroup.hidden = !lesson;
+    if (lesson) {
+      const unlocked = loadUnlockedDrills(lesson);
+      lesson.drills.forEach(({ name }, index) => {
+        const locked = index >= unlocked;
+        const selected = index === this.drillIndex;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn drill-option';
+        button.dataset.drill = index;
+        button.textContent = locked ? `${LOCK_ICON} ${name}` : name;
+        button.disabled = locked;
+        button.classList.toggle('selected', selected);
+        button.setAttribute('role', 'radio');
+        button.setAttribute('aria-checked', String(selected));
+        this.drillGroup.appendChild(button);
+      });
+    }
+
+    this.onChange(this.getDrill());
+  }
+
+  /**
+   * Get the selected lesson.
+   * @returns {Object|null} The lesson, or null for free practice.
+   */
+  getLesson() {
+    return this.lessonId ? getLesson(this.lessonId) : null;
+  }
+
+  /**
+   * Get the selected drill as a level definition for the game.
+   * @returns {Object|null} Drill from getLessonDrills, or null for free practice.
+   */
+  getDrill() {
+    const lesson = this.getLesson();
+    return lesson ? getLessonDrills(lesson)[this.drillIndex] : null;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * lessons.js — Teacher Lesson Files and Lesson Progress
+ *
+ * A lesson is an ordered list of drills a teacher prepares for a class,
+ * stored as JSON. Each drill restricts practice to a letter subset, a
+ * fixed sequence or a word list, and may set its own timing and pass
+ * criteria with the same upper-case keys as levels.js:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "3-ھەپتە",
+ *     "drills": [
+ *       { "name": "يېڭى ھەرپلەر", "mode": "letters", "letters": ["ا", "ە", "ب"],
+ *         "LETTER_COUNT": 5, "MAX_ADVANCE": 10, "FALL_DELAY": 9000, "PASS_RATIO": 0.8 },
+ *       { "mode": "forms", "letters": ["ب", "ت"] },
+ *       { "mode": "letters", "sequence": ["ا", "ب", "ا", "ت"] },
+ *       { "mode": "words", "words": ["ئانا", "بالا"] },
+ *       { "mode": "transliteration", "letters": ["ش", "چ", "ڭ"], "PROMPT_SCRIPT": "cyrillic" }
+ *     ]
+ *   }
+ *
+ * Lessons are imported from a file or a `lesson` URL parameter, kept in
+ * localStorage and exported again as JSON. Drills are turned into level
+ * definitions for the game; passing a drill unlocks the next one.
+ */
+
+import { allLetters, HAMZA, TRANSLITERATION_SCRIPTS, isVowel, getHamzaForm } from './letter.js';
+import { getLevel } from './levels.js';
+import { t } from './i18n.js';
+
+const LESSONS_KEY = 'uyghurTypingLessons';
+const LESSON_PROGRESS_KEY = 'uyghurTypingLessonProgress';
+
+const LESSON_PARAM = 'lesson'; // URL parameter with the address of a lesson file
+const LESSON_VERSION = 1;      // Newest lesson file format this game understands
+const DEFAULT_PASS_RATIO = 0.8;
+
+/**
+ * Practice modes a drill can use.
+ */
+export const LESSON_MODES = ['letters', 'forms', 'words', 'transliteration'];
+
+/**
+ * Modes whose drills may list words; their sequences may hold words too.
+ */
+const WORD_MODES = ['words', 'transliteration'];
+
+/**
+ * Drill settings that override the game CONFIG, with their allowed ranges.
+ * Delays are in milliseconds.
+ */
+const DRILL_LIMITS = {
+  LETTER_COUNT: { min: 1, max: 12, integer: true },
+  MAX_ADVANCE: { min: 1, max: 100, integer: true },
+  FLICKER_DELAY: { min: 1000, max: 60000 },
+  FALL_DELAY: { min: 1000, max: 60000 },
+  MISS_PENALTY: { min: 0, max: 100, integer: true },
+  PASS_RATIO: { min: 0, max: 1 },
+  HAMZA_SHARE: { min: 0, max: 1 },
+};
+
+/**
+ * Drill settings that override the game CONFIG with one of a few values.
+ */
+const DRILL_CHOICES = {
+  PROMPT_SCRIPT: TRANSLITERATION_SCRIPTS,
+};
+
+/**
+ * Checks that a word or phrase uses only Uyghur letters, the hamza and spaces.
+ * @param {*} word - Value to check.
+ * @returns {boolean} True for a non-empty Uyghur string.
+ */
+const isUyghurText = (word) =>
+  typeof word === 'string' && word.trim() !== '' &&
+  [...word].every(char => char === ' ' || char === HAMZA || allLetters.includes(char));
+
+/**
+ * Validates a list of drill targets.
+ * @param {*} list - Value from the lesson file.
+ * @param {Function} isValid - Check for a single entry.
+ * @param {string} field - Field name for the error message.
+ * @param {string} where - Drill label for the error message.
+ * @returns {string[]} The list.
+ */
+const checkList = (list, isValid, field, where) => {
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error(t('lessonError.emptyList', { drill: where, field }));
+  }
+  const invalid = list.find(entry => !isValid(entry));
+  if (invalid !== undefined) throw new Error(t('lessonError.invalidEntry', { drill: where, field, value: invalid }));
+  return list;
+};
+
+/**
+ * Validates one drill and keeps only the fields the game understands.
+ * @param {Object} drill - Drill from the lesson file.
+ * @param {number} index - Position of the drill in the lesson.
+ * @returns {Object} The cleaned drill.
+ */
+const parseDrill = (drill, index) => {
+  const where = t('lessons.drillNumber', { number: index + 1 });
+  if (!drill || typeof drill !== 'object') throw new Error(t('lessonError.invalidDrill', { drill: where }));
+
+  const mode = drill.mode ?? LESSON_MODES[0];
+  if (!LESSON_MODES.includes(mode)) throw new Error(t('lessonError.unknownMode', { drill: where, mode }));
+
+  const isLetter = (char) => allLetters.includes(char);
+  // Letter sequences may also hold hamza-initial vowels such as ئۇ
+  const isTarget = (key) => isLetter(key) || allLetters.some(char => isVowel(char) && getHamzaForm(char) === key);
+  const parsed = { name: String(drill.name ?? '').trim() || where, mode };
+
+  if (drill.letters !== undefined) parsed.letters = checkList(drill.letters, isLetter, 'letters', where);
+  if (drill.words !== undefined) {
+    if (!WORD_MODES.includes(mode)) throw new Error(t('lessonError.wordsOnly', { drill: where }));
+    parsed.words = checkList(drill.words, isUyghurText, 'words', where);
+  }
+  if (drill.sequence !== undefined) {
+    parsed.sequence = checkList(drill.sequence, WORD_MODES.includes(mode) ? isUyghurText : isTarget, 'sequence', where);
+  }
+
+  Object.entries(DRILL_CHOICES).forEach(([key, values]) => {
+    if (drill[key] === undefined) return;
+
+    if (!values.includes(drill[key])) {
+      throw new Error(t('lessonError.choice', { drill: where, key, values: values.join(', ') }));
+    }
+    parsed[key] = drill[key];
+  });
+
+  Object.entries(DRILL_LIMITS).forEach(([key, { min, max, integer }]) => {
+    if (drill[key] === undefined) return;
+
+    const value = drill[key];
+    if (typeof value !== 'number' || value < min || value > max || (integer && !Number.isInteger(value))) {
+      throw new Error(t('lessonError.range', { drill: where, key, min, max }));
+    }
+    parsed[key] = value;
+  });
+
+  if (parsed.FLICKER_DELAY !== undefined && parsed.FALL_DELAY !== undefined &&
+      parsed.FLICKER_DELAY >= parsed.FALL_DELAY) {
+    throw new Error(t('lessonError.delays', { drill: where }));
+  }
+  return parsed;
+};
+
+/**
+ * Validates a lesson read from JSON.
+ * @param {*} data - Parsed JSON.
+ * @returns {{id: string, version: number, name: string, drills: Object[]}} The cleaned lesson.
+ * @throws {Error} With a message for the teacher when the lesson is invalid.
+ */
+export const parseLesson = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(t('lessonError.invalid'));
+
+  const version = data.version ?? LESSON_VERSION;
+  if (version > LESSON_VERSION) throw new Error(t('lessonError.newer'));
+
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) throw new Error(t('lessonError.noName'));
+
+  if (!Array.isArray(data.drills) || !data.drills.length) throw new Error(t('lessonError.noDrills'));
+
+  return {
+    id: String(data.id ?? name),
+    version: LESSON_VERSION,
+    name,
+    drills: data.drills.map(parseDrill),
+  };
+};
+
+/**
+ * Parses lesson JSON text.
+ * @param {string} text - Contents of a lesson file.
+ * @returns {Object} The validated lesson.
+ * @throws {Error} If the text is not JSON or not a valid lesson.
+ */
+export const parseLessonJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('lessonError.notJson'));
+  }
+  return parseLesson(data);
+};
+
+/**
+ * Load the number of passed drills per lesson.
+ * @returns {Object<string, number>} Passed drill count by lesson id.
+ */
+const loadProgress = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LESSON_PROGRESS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Load all saved lessons from localStorage.
+ * @returns {Object[]} Saved lessons in the order they were added.
+ */
+export const loadLessons = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LESSONS_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Returns the saved lesson with the given id.
+ * @param {string} id - Lesson id.
+ * @returns {Object|null} The lesson, or null if there is none.
+ */
+export const getLesson = (id) => loadLessons().find(lesson => lesson.id === id) ?? null;
+
+/**
+ * Saves a lesson, replacing a saved lesson with the same id.
+ * @param {Object} lesson - Validated lesson.
+ */
+export const saveLesson = (lesson) => {
+  const lessons = loadLessons();
+  const index = lessons.findIndex(({ id }) => id === lesson.id);
+  if (index === -1) lessons.push(lesson);
+  else lessons[index] = lesson;
+  localStorage.setItem(LESSONS_KEY, JSON.stringify(lessons));
+};
+
+/**
+ * Removes a saved lesson and its progress.
+ * @param {string} id - Lesson id.
+ */
+export const deleteLesson = (id) => {
+  localStorage.setItem(LESSONS_KEY, JSON.stringify(loadLessons().filter(lesson => lesson.id !== id)));
+  const progress = loadProgress();
+  delete progress[id];
+  localStorage.setItem(LESSON_PROGRESS_KEY, JSON.stringify(progress));
+};
+
+/**
+ * Turns a lesson's drills into level definitions the game can play.
+ * Drills without letters practise the whole alphabet; a fixed sequence
+ * is played once through unless the drill sets MAX_ADVANCE.
+ * @param {Object} lesson - Validated lesson.
+ * @returns {Object[]} Level definitions with `lessonId`, `index`, `mode`, and optional `words` and `sequence`.
+ */
+export const getLessonDrills = (lesson) => lesson.drills.map((drill, index) => ({
+  PASS_RATIO: DEFAULT_PASS_RATIO,
+  ...(drill.sequence ? { MAX_ADVANCE: drill.sequence.length } : {}),
+  ...drill,
+  id: `${lesson.id}#${index + 1}`,
+  lessonId: lesson.id,
+  index,
+  letters: drill.letters ?? allLetters,
+  background: getLevel(1).background,
+}));
+
+/**
+ * Number of drills unlocked in a lesson: the passed ones plus the next.
+ * @param {Object} lesson - Validated lesson.
+ * @returns {number} Unlocked drill count (at least 1).
+ */
+export const loadUnlockedDrills = (lesson) =>
+  Math.min((loadProgress()[lesson.id] ?? 0) + 1, lesson.drills.length);
+
+/**
+ * Records a passed drill, unlocking the drill after it.
+ * @param {Object} drill - Drill definition from getLessonDrills.
+ * @returns {boolean} True if this is the first time the drill was passed.
+ */
+export const recordDrillPassed = ({ lessonId, index }) => {
+  const progress = loadProgress();
+  if ((progress[lessonId] ?? 0) > index) return false;
+
+  progress[lessonId] = index + 1;
+  localStorage.setItem(LESSON_PROGRESS_KEY, JSON.stringify(progress));
+  return true;
+};
+
+/**
+ * Reads a lesson from a file chosen by the teacher.
+ * @param {File} file - JSON lesson file.
+ * @returns {Promise<Object>} The validated lesson.
+ */
+export const readLessonFile = async (file) => parseLessonJson(await file.text());
+
+/**
+ * Downloads a lesson from a URL.
+ * @param {string} url - Address of a JSON lesson file.
+ * @returns {Promise<Object>} The validated lesson.
+ */
+export const fetchLesson = async (url) => {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error(t('lessonError.download'));
+  }
+  if (!response.ok) throw new Error(t('lessonError.downloadStatus', { status: String(response.status) }));
+  return parseLessonJson(await response.text());
+};
+
+/**
+ * Reads the lesson file address from the `lesson` URL parameter.
+ * @returns {string|null} Lesson URL, or null when none was given.
+ */
+export const getLessonUrl = () =>
+  new URLSearchParams(window.location.search).get(LESSON_PARAM)?.trim() || null;
+
+/**
+ * Saves a lesson to a JSON file on the teacher's computer.
+ * @param {Object} lesson - Validated lesson.
+ */
+export const exportLesson = (lesson) => {
+  const blob = new Blob([JSON.stringify(lesson, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${lesson.name}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+};
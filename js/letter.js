@@ -1,9 +1,12 @@
 /**
- * letter.js — Manages Uyghur Letters and Corresponding Image Paths
- * 
- * Defines the set of Uyghur letters used in the game, associates each letter
- * with its corresponding image filename, and provides utility functions
- * to retrieve image paths for each letter.
+ * letter.js — Uyghur Letter Model with Forms, Transliteration and Asset Paths
+ *
+ * Defines the Uyghur alphabet used in the game. Each letter carries its
+ * name, its Latin (ULY) and Cyrillic (UKY) transliterations, how it joins
+ * its neighbours and whether an image asset exists for it. Provides the
+ * contextual forms of each letter (isolated, initial, medial, final),
+ * transliteration of Uyghur text to ULY and UKY, and the image and
+ * pronunciation clip paths.
  */
 
 /**
@@ -12,27 +15,251 @@
 const IMAGE_BASE_PATH = '/images/letter';
 
 /**
- * Array of Uyghur letters used in the game.
- * Letters correspond to individual image files for display.
- * Uncomment any letter whose image asset is not yet ready.
+ * Base directory path where letter pronunciation clips are stored.
+ */
+const AUDIO_BASE_PATH = '/audio/letter';
+
+/**
+ * Zero width joiner. Placed next to a letter it makes the browser draw the
+ * letter's joined form without a visible neighbour.
+ */
+const ZWJ = '\u200D';
+
+/**
+ * Hamza carrier. Written before a vowel that starts a syllable; in ULY it is
+ * dropped at the start of a word and written as an apostrophe elsewhere;
+ * UKY does not write it.
+ */
+export const HAMZA = 'ئ';
+
+/**
+ * The Uyghur alphabet in dictionary order.
+ * - name: the letter's Uyghur name.
+ * - latin: Uyghur Latin Yéziqi (ULY) transliteration.
+ * - cyrillic: Uyghur Cyrillic (UKY) transliteration.
+ * - joins: 'dual' letters join on both sides, 'right' letters only to the
+ *   preceding letter and so have no initial or medial form.
+ * - image: whether /images/letter has an image for the letter; letters
+ *   without one are drawn with the letter font instead.
  */
 const LETTERS = [
-  'ب', 'پ', 'ت', 'ج', 'چ', 'خ', 'د', 'ر', 'ز', 'ژ', 'س', 'ش',
-  'غ', 'ف', 'ق', 'ك', 'گ', 'ڭ', 'م', 'ن', 'ھ', 'ي', 'ا',
-  'و', 'ۇ', 'ۆ', 'ۈ', 'ې', 'ى', 'ۋ',
-  // 'ە' // Uncomment when image is ready
+  { char: 'ا', name: 'ئا', latin: 'a', cyrillic: 'а', joins: 'right', image: true },
+  { char: 'ە', name: 'ئە', latin: 'e', cyrillic: 'ә', joins: 'right', image: false },
+  { char: 'ب', name: 'بې', latin: 'b', cyrillic: 'б', joins: 'dual', image: true },
+  { char: 'پ', name: 'پې', latin: 'p', cyrillic: 'п', joins: 'dual', image: true },
+  { char: 'ت', name: 'تې', latin: 't', cyrillic: 'т', joins: 'dual', image: true },
+  { char: 'ج', name: 'جې', latin: 'j', cyrillic: 'җ', joins: 'dual', image: true },
+  { char: 'چ', name: 'چې', latin: 'ch', cyrillic: 'ч', joins: 'dual', image: true },
+  { char: 'خ', name: 'خې', latin: 'x', cyrillic: 'х', joins: 'dual', image: true },
+  { char: 'د', name: 'دې', latin: 'd', cyrillic: 'д', joins: 'right', image: true },
+  { char: 'ر', name: 'رې', latin: 'r', cyrillic: 'р', joins: 'right', image: true },
+  { char: 'ز', name: 'زې', latin: 'z', cyrillic: 'з', joins: 'right', image: true },
+  { char: 'ژ', name: 'ژې', latin: 'zh', cyrillic: 'ж', joins: 'right', image: true },
+  { char: 'س', name: 'سې', latin: 's', cyrillic: 'с', joins: 'dual', image: true },
+  { char: 'ش', name: 'شې', latin: 'sh', cyrillic: 'ш', joins: 'dual', image: true },
+  { char: 'غ', name: 'غې', latin: 'gh', cyrillic: 'ғ', joins: 'dual', image: true },
+  { char: 'ف', name: 'فې', latin: 'f', cyrillic: 'ф', joins: 'dual', image: true },
+  { char: 'ق', name: 'قې', latin: 'q', cyrillic: 'қ', joins: 'dual', image: true },
+  { char: 'ك', name: 'كې', latin: 'k', cyrillic: 'к', joins: 'dual', image: true },
+  { char: 'گ', name: 'گې', latin: 'g', cyrillic: 'г', joins: 'dual', image: true },
+  { char: 'ڭ', name: 'ڭې', latin: 'ng', cyrillic: 'ң', joins: 'dual', image: true },
+  { char: 'ل', name: 'لې', latin: 'l', cyrillic: 'л', joins: 'dual', image: true },
+  { char: 'م', name: 'مې', latin: 'm', cyrillic: 'м', joins: 'dual', image: true },
+  { char: 'ن', name: 'نې', latin: 'n', cyrillic: 'н', joins: 'dual', image: true },
+  { char: 'ھ', name: 'ھې', latin: 'h', cyrillic: 'һ', joins: 'dual', image: true },
+  { char: 'و', name: 'ئو', latin: 'o', cyrillic: 'о', joins: 'right', image: true },
+  { char: 'ۇ', name: 'ئۇ', latin: 'u', cyrillic: 'у', joins: 'right', image: true },
+  { char: 'ۆ', name: 'ئۆ', latin: 'ö', cyrillic: 'ө', joins: 'right', image: true },
+  { char: 'ۈ', name: 'ئۈ', latin: 'ü', cyrillic: 'ү', joins: 'right', image: true },
+  { char: 'ۋ', name: 'ۋې', latin: 'w', cyrillic: 'в', joins: 'right', image: true },
+  { char: 'ې', name: 'ئې', latin: 'é', cyrillic: 'е', joins: 'dual', image: true },
+  { char: 'ى', name: 'ئى', latin: 'i', cyrillic: 'и', joins: 'dual', image: true },
+  { char: 'ي', name: 'يې', latin: 'y', cyrillic: 'й', joins: 'dual', image: true },
 ];
 
+/**
+ * Vowels. At the start of a word they are written after the hamza carrier
+ * (ئا، ئە، ئو ...), which is typed as a key of its own.
+ */
+const VOWELS = ['ا', 'ە', 'و', 'ۇ', 'ۆ', 'ۈ', 'ې', 'ى'];
+
+/**
+ * Contextual forms of Arabic-script letters. Their display names are in
+ * the message catalog under `forms.<form>`.
+ */
+export const LETTER_FORMS = ['isolated', 'initial', 'medial', 'final'];
+
+/**
+ * ULY letter pairs that read as a single digraph; when two separate letters
+ * produce one of these, ULY separates them with an apostrophe.
+ */
+const LATIN_DIGRAPHS = ['ch', 'gh', 'ng', 'sh', 'zh'];
+
+/**
+ * UKY writes y followed by a or u as a single letter.
+ */
+const CYRILLIC_LIGATURES = { 'йа': 'я', 'йу': 'ю' };
+
+/**
+ * Maps each letter to its model entry.
+ */
+const letterInfo = new Map(LETTERS.map(letter => [letter.char, letter]));
+
+/**
+ * Letters left out of practice because their image failed to load.
+ */
+const excludedLetters = new Set();
+
 /**
  * Maps each letter to its image filename.
- * Constructed dynamically from LETTERS
+ * Constructed dynamically from the letters that have an image.
  * Example: { 'ب': 'ب.png', 'پ': 'پ.png', ... }
  */
-export const letterMap = LETTERS.reduce((acc, letter) => {
-  acc[letter] = `${letter}.png`;
+export const letterMap = LETTERS.filter(({ image }) => image).reduce((acc, { char }) => {
+  acc[char] = `${char}.png`;
+  return acc;
+}, {});
+
+/**
+ * Maps each letter to its pronunciation clip filename.
+ * Constructed dynamically from LETTERS; clips that are not recorded yet
+ * are simply skipped at playback.
+ * Example: { 'ب': 'ب.mp3', 'پ': 'پ.mp3', ... }
+ */
+export const pronunciationMap = LETTERS.reduce((acc, { char }) => {
+  acc[char] = `${char}.mp3`;
   return acc;
 }, {});
 
+/**
+ * Returns the model entry of a letter.
+ * @param {string} char - The letter character.
+ * @returns {Object|null} - { char, name, latin, cyrillic, joins, image }, or null for unknown characters.
+ */
+export const getLetterInfo = (char) => letterInfo.get(char) ?? null;
+
+/**
+ * Excludes a letter whose image failed to load from practice and forgets the image.
+ * @param {string} char - The letter character.
+ */
+export const excludeLetter = (char) => {
+  excludedLetters.add(char);
+  delete letterMap[char];
+};
+
+/**
+ * Whether a letter can be used in practice.
+ * @param {string} char - The letter character.
+ * @returns {boolean} - False if the letter was excluded.
+ */
+export const isLetterAvailable = (char) => !excludedLetters.has(char);
+
+/**
+ * Whether a letter is a vowel, which takes the hamza carrier at the start of a word.
+ * @param {string} char - The letter character.
+ * @returns {boolean}
+ */
+export const isVowel = (char) => VOWELS.includes(char);
+
+/**
+ * Returns how a vowel is written at the start of a word.
+ * @param {string} char - A vowel.
+ * @returns {string} - The vowel after the hamza carrier, e.g. 'ئا'.
+ */
+export const getHamzaForm = (char) => `${HAMZA}${char}`;
+
+/**
+ * Returns the contextual forms a letter has.
+ * @param {string} char - The letter character.
+ * @returns {string[]} - Form names from LETTER_FORMS; right-joining letters have no initial or medial form.
+ */
+export const getLetterForms = (char) => {
+  const letter = letterInfo.get(char);
+  if (!letter) return [];
+  return letter.joins === 'dual' ? [...LETTER_FORMS] : ['isolated', 'final'];
+};
+
+/**
+ * Returns text that displays a letter in one of its contextual forms.
+ * Zero width joiners on the joined sides make the browser pick the form.
+ * @param {string} char - The letter character.
+ * @param {string} form - One of the LETTER_FORMS.
+ * @returns {string} - The letter with joiners, or the bare letter for the isolated form.
+ */
+export const getLetterForm = (char, form) => {
+  switch (form) {
+    case 'initial': return `${char}${ZWJ}`;
+    case 'medial': return `${ZWJ}${char}${ZWJ}`;
+    case 'final': return `${ZWJ}${char}`;
+    default: return char;
+  }
+};
+
+/**
+ * Transliterates Uyghur Arabic-script text to Uyghur Latin (ULY).
+ * Characters outside the alphabet, such as spaces and punctuation, are kept.
+ * @param {string} text - Uyghur text.
+ * @returns {string} - ULY transliteration.
+ */
+export const toLatin = (text) => {
+  let latin = '';
+  [...text].forEach((char, i, chars) => {
+    if (char === HAMZA) {
+      const wordStart = i === 0 || !letterInfo.has(chars[i - 1]);
+      if (!wordStart) latin += "'";
+      return;
+    }
+
+    const value = letterInfo.get(char)?.latin ?? char;
+    if (LATIN_DIGRAPHS.includes(latin.slice(-1) + value[0]) && letterInfo.has(chars[i - 1])) {
+      latin += "'";
+    }
+    latin += value;
+  });
+  return latin;
+};
+
+/**
+ * Transliterates Uyghur Arabic-script text to Uyghur Cyrillic (UKY).
+ * Characters outside the alphabet, such as spaces and punctuation, are kept.
+ * @param {string} text - Uyghur text.
+ * @returns {string} - UKY transliteration.
+ */
+export const toCyrillic = (text) => {
+  let cyrillic = '';
+  [...text].forEach(char => {
+    if (char === HAMZA) return;
+
+    const value = letterInfo.get(char)?.cyrillic ?? char;
+    const ligature = CYRILLIC_LIGATURES[cyrillic.slice(-1) + value];
+    cyrillic = ligature ? cyrillic.slice(0, -1) + ligature : cyrillic + value;
+  });
+  return cyrillic;
+};
+
+/**
+ * Transliterators by script name, for prompts in transliteration drills.
+ */
+const TRANSLITERATORS = {
+  latin: toLatin,
+  cyrillic: toCyrillic,
+};
+
+/**
+ * Scripts Uyghur text can be transliterated to.
+ */
+export const TRANSLITERATION_SCRIPTS = Object.keys(TRANSLITERATORS);
+
+/**
+ * Transliterates Uyghur Arabic-script text to ULY or UKY. Every letter of
+ * the alphabet has both, so letters and whole words can be shown as
+ * prompts; a single letter may become several characters, e.g. 'ش' → 'sh'.
+ * @param {string} text - Uyghur text.
+ * @param {string} script - One of TRANSLITERATION_SCRIPTS; unknown scripts fall back to Latin.
+ * @returns {string} - The transliteration.
+ */
+export const transliterate = (text, script) => (TRANSLITERATORS[script] ?? toLatin)(text);
+
 /**
  * Returns the full image path for a given letter character.
  * @param {string} char - The letter character to get the image for.
@@ -43,7 +270,17 @@ export const getLetterImagePath = (char) => {
   return filename ? `${IMAGE_BASE_PATH}/${filename}` : null;
 };
 
+/**
+ * Returns the full pronunciation clip path for a given letter character.
+ * @param {string} char - The letter character to get the clip for.
+ * @returns {string|null} - The full path to the letter's audio file, or null if none exists.
+ */
+export const getLetterAudioPath = (char) => {
+  const filename = pronunciationMap[char];
+  return filename ? `${AUDIO_BASE_PATH}/${filename}` : null;
+};
+
 /**
  * Exported array of all letters for external use.
  */
-export const allLetters = [...LETTERS];
+export const allLetters = LETTERS.map(({ char }) => char);
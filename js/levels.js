@@ -0,0 +1,136 @@
+/**
+ * levels.js — Level Definitions and Unlock Progress
+ *
+ * Defines the game levels, each with its own letter pool, sequence length,
+ * timing, background art and pass threshold, and tracks which levels the
+ * player has unlocked. Unlock state is persisted in localStorage alongside
+ * the total score.
+ */
+
+import { allLetters } from './letter.js';
+
+const UNLOCKED_LEVEL_KEY = 'uyghurTypingUnlockedLevel';
+
+/**
+ * Letter pools follow the rows of the Uyghur keyboard,
+ * starting from the home row where the fingers rest.
+ */
+const HOME_ROW = ['ھ', 'س', 'د', 'ا', 'ە', 'ى', 'ق', 'ك', 'ل'];
+const TOP_ROW = ['چ', 'ۋ', 'ې', 'ر', 'ت', 'ي', 'ۇ', 'ڭ', 'و', 'پ'];
+const BOTTOM_ROW = ['ز', 'ش', 'غ', 'ۈ', 'ب', 'ن', 'م'];
+
+const DEFAULT_BACKGROUND = '/images/bg/utg_l1_background.png';
+
+/**
+ * Ordered list of levels. Upper-case keys override the game CONFIG.
+ * Level names come from the `level.name` message.
+ * PASS_RATIO is the share of targets that must be typed to pass.
+ * Hamza-initial vowels (HAMZA_SHARE) start once the bottom row, which holds
+ * the hamza key, is reached.
+ * Levels without their own art reuse the level 1 background.
+ */
+const LEVELS = [
+  {
+    id: 1,
+    letters: HOME_ROW,
+    background: DEFAULT_BACKGROUND,
+    LETTER_COUNT: 5,
+    MAX_ADVANCE: 5,
+    FLICKER_DELAY: 8000,
+    FALL_DELAY: 11000,
+    PASS_RATIO: 0.8,
+    HAMZA_SHARE: 0,
+  },
+  {
+    id: 2,
+    letters: [...HOME_ROW, ...TOP_ROW],
+    background: DEFAULT_BACKGROUND,
+    LETTER_COUNT: 6,
+    MAX_ADVANCE: 6,
+    FLICKER_DELAY: 7000,
+    FALL_DELAY: 10000,
+    PASS_RATIO: 0.8,
+    HAMZA_SHARE: 0,
+  },
+  {
+    id: 3,
+    letters: [...HOME_ROW, ...TOP_ROW, ...BOTTOM_ROW],
+    background: DEFAULT_BACKGROUND,
+    LETTER_COUNT: 7,
+    MAX_ADVANCE: 7,
+    FLICKER_DELAY: 6000,
+    FALL_DELAY: 9000,
+    PASS_RATIO: 0.8,
+  },
+  {
+    id: 4,
+    letters: allLetters,
+    background: DEFAULT_BACKGROUND,
+    LETTER_COUNT: 7,
+    MAX_ADVANCE: 7,
+    FLICKER_DELAY: 5000,
+    FALL_DELAY: 8000,
+    PASS_RATIO: 0.85,
+  },
+  {
+    id: 5,
+    letters: allLetters,
+    background: DEFAULT_BACKGROUND,
+    LETTER_COUNT: 9,
+    MAX_ADVANCE: 9,
+    FLICKER_DELAY: 4000,
+    FALL_DELAY: 6000,
+    PASS_RATIO: 0.9,
+  },
+];
+
+/**
+ * Exported array of all levels for external use.
+ */
+export const allLevels = [...LEVELS];
+
+/**
+ * Returns the level with the given id, falling back to the first level.
+ * @param {number} id - Level id.
+ * @returns {Object} The level definition.
+ */
+export const getLevel = (id) => LEVELS.find(level => level.id === id) ?? LEVELS[0];
+
+/**
+ * Load the highest unlocked level id from localStorage.
+ * @returns {number} Highest unlocked level id (at least 1).
+ */
+export const loadUnlockedLevel = () => {
+  const stored = parseInt(localStorage.getItem(UNLOCKED_LEVEL_KEY), 10);
+  return Number.isInteger(stored) ? Math.min(Math.max(stored, 1), LEVELS.length) : 1;
+};
+
+/**
+ * Checks whether a finished round passes the level.
+ * @param {Object} level - Level definition.
+ * @param {Object} result - Round result with `hits` and `total` target counts.
+ * @returns {boolean} True if enough targets were typed.
+ */
+export const isLevelPassed = (level, { hits, total }) =>
+  total > 0 && hits / total >= level.PASS_RATIO;
+
+/**
+ * Unlocks the level after the given one and saves progress.
+ * @param {number} id - Id of the level that was just passed.
+ * @returns {boolean} True if a new level was unlocked.
+ */
+export const unlockNextLevel = (id) => {
+  const next = Math.min(id + 1, LEVELS.length);
+  if (next <= loadUnlockedLevel()) return false;
+
+  localStorage.setItem(UNLOCKED_LEVEL_KEY, next.toString());
+  return true;
+};
+
+/**
+ * Extracts the game CONFIG overrides (upper-case keys) from a level.
+ * @param {Object} level - Level definition.
+ * @returns {Object} CONFIG overrides such as LETTER_COUNT and FALL_DELAY.
+ */
+export const getLevelConfig = (level) =>
+  Object.fromEntries(Object.entries(level).filter(([key]) => key === key.toUpperCase()));
@@ -0,0 +1,94 @@
+/**
+ * levelselect.js — Level Picker for the Home Screen
+ *
+ * Renders one button per level. Levels the player has not unlocked yet
+ * are shown locked and cannot be selected. The highest unlocked level
+ * is selected by default.
+ */
+
+import { allLevels, getLevel, loadUnlockedLevel } from './levels.js';
+import { t, translateTree, onLanguageChange } from './i18n.js';
+
+const LOCK_ICON = '🔒';
+
+export default class LevelSelect {
+  /**
+   * Creates the level picker and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the picker to.
+   */
+  constructor(parent = document.body) {
+    this.parent = parent;
+    this.selectedId = loadUnlockedLevel();
+
+    this.createGroup();
+    this.attachEvents();
+    this.refresh();
+    onLanguageChange(() => this.refresh());
+  }
+
+  /**
+   * Builds the level button group with accessibility attributes.
+   */
+  createGroup() {
+    this.group = document.createElement('div');
+    this.group.id = 'level-select';
+    this.group.setAttribute('role', 'radiogroup');
+    this.group.dataset.i18nAriaLabel = 'level.label';
+    translateTree(this.group);
+
+    this.buttons = allLevels.map(level => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn level-option';
+      button.dataset.level = level.id;
+      button.setAttribute('role', 'radio');
+      this.group.appendChild(button);
+      return button;
+    });
+
+    this.parent.appendChild(this.group);
+  }
+
+  /**
+   * Selects a level when an unlocked level button is clicked.
+   */
+  attachEvents() {
+    this.group.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-level]');
+      if (!button || button.disabled) return;
+
+      this.selectedId = Number(button.dataset.level);
+      this.refresh();
+    });
+  }
+
+  /**
+   * Re-reads unlock progress and updates labels, locks and selection.
+   * Call after a level has been passed so newly unlocked levels appear.
+   * @param {boolean} selectHighest - Whether to jump to the highest unlocked level.
+   */
+  refresh(selectHighest = false) {
+    const unlocked = loadUnlockedLevel();
+    if (selectHighest || this.selectedId > unlocked) this.selectedId = unlocked;
+
+    this.buttons.forEach(button => {
+      const id = Number(button.dataset.level);
+      const locked = id > unlocked;
+      const selected = id === this.selectedId;
+
+      const name = t('level.name', { id });
+      button.textContent = locked ? `${LOCK_ICON} ${name}` : name;
+      button.disabled = locked;
+      button.classList.toggle('selected', selected);
+      button.setAttribute('aria-checked', String(selected));
+    });
+  }
+
+  /**
+   * Get the currently selected level definition.
+   * @returns {Object} Level definition from levels.js.
+   */
+  getLevel() {
+    return getLevel(this.selectedId);
+  }
+}
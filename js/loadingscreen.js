@@ -0,0 +1,69 @@
+/**
+ * loadingscreen.js — Loading Screen with Progress Indicator
+ *
+ * Covers the page while game assets are preloaded and shows how many
+ * have loaded, so the home screen only becomes interactive once letters
+ * can be displayed without delay.
+ */
+
+import { formatNumber, translateTree } from './i18n.js';
+
+export default class LoadingScreen {
+  /**
+   * Creates the loading screen and appends it to the parent element.
+   * It is visible from the start.
+   * @param {HTMLElement} parent - The container element to append the screen to.
+   */
+  constructor(parent = document.body) {
+    this.parent = parent;
+
+    this.createScreen();
+    this.show();
+  }
+
+  /**
+   * Builds the loading screen DOM with an accessible progress bar.
+   */
+  createScreen() {
+    this.screen = document.createElement('div');
+    this.screen.id = 'loading-screen';
+    this.screen.setAttribute('role', 'status');
+    this.screen.setAttribute('aria-live', 'polite');
+
+    this.screen.innerHTML = `
+      <p id="loading-title" data-i18n="loading.title"></p>
+      <progress id="loading-progress" max="1" value="0" aria-labelledby="loading-title"></progress>
+      <p id="loading-count"></p>
+    `;
+    translateTree(this.screen);
+
+    this.progressBar = this.screen.querySelector('#loading-progress');
+    this.countElement = this.screen.querySelector('#loading-count');
+    this.parent.appendChild(this.screen);
+  }
+
+  /**
+   * Shows how many assets have loaded.
+   * @param {number} done - Number of assets that finished loading or failed.
+   * @param {number} total - Number of assets to load.
+   */
+  update(done, total) {
+    this.progressBar.max = total || 1;
+    this.progressBar.value = done;
+    this.countElement.textContent = `${formatNumber(done)} / ${formatNumber(total)}`;
+  }
+
+  /**
+   * Displays the loading screen.
+   */
+  show() {
+    this.screen.style.display = 'flex';
+  }
+
+  /**
+   * Hides the loading screen.
+   */
+  hide() {
+    this.screen.style.display = 'none';
+  }
+}
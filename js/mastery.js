@@ -0,0 +1,143 @@
+/**
+ * mastery.js — Persistent Per-Letter Mastery Profile
+ *
+ * Tracks hits, misses, timeouts and reaction time for every character the
+ * player types, across sessions, using localStorage. Derives a mastery
+ * score per letter and uses it to weight sequence generation toward the
+ * letters the player struggles with.
+ */
+
+const MASTERY_KEY = 'uyghurTypingMastery';
+
+const FAST_TIME = 600;      // Reaction time in ms treated as fully mastered
+const SLOW_TIME = 3000;     // Reaction time in ms treated as not mastered at all
+const MIN_ATTEMPTS = 5;     // Attempts needed before the score is fully trusted
+const WEAK_BOOST = 3;       // Extra pick weight for a completely unmastered letter
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export default class MasteryProfile {
+  constructor() {
+    this.profile = this.load(); // { [char]: { hits, misses, timeouts, totalTime } }
+  }
+
+  /**
+   * Load the saved profile from localStorage.
+   * @returns {Object} Profile entries keyed by character.
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(MASTERY_KEY)) ?? {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Save the profile back to localStorage.
+   */
+  save() {
+    localStorage.setItem(MASTERY_KEY, JSON.stringify(this.profile));
+  }
+
+  /**
+   * Get the recorded counts for a character, creating an empty entry if needed.
+   * @param {string} char - The character.
+   * @returns {Object} Entry with hits, misses, timeouts and totalTime.
+   */
+  getEntry(char) {
+    this.profile[char] ??= { hits: 0, misses: 0, timeouts: 0, totalTime: 0 };
+    return this.profile[char];
+  }
+
+  /**
+   * Records a game's hits, misses and timeouts as they happen.
+   * @param {UyghurTypingGame} game - Game to learn from.
+   */
+  connect(game) {
+    game.on('hit', ({ char, time }) => this.recordHit(char, time));
+    game.on('miss', ({ expected }) => this.recordMiss(expected));
+    game.on('timeout', ({ expected }) => this.recordTimeout(expected));
+  }
+
+  /**
+   * Record a correctly typed character.
+   * @param {string} char - The character.
+   * @param {number} time - Reaction time in ms.
+   */
+  recordHit(char, time) {
+    const entry = this.getEntry(char);
+    entry.hits++;
+    entry.totalTime += Math.round(time);
+    this.save();
+  }
+
+  /**
+   * Record a wrong keystroke where this character was expected.
+   * @param {string} char - The expected character.
+   */
+  recordMiss(char) {
+    this.getEntry(char).misses++;
+    this.save();
+  }
+
+  /**
+   * Record a character that fell off the screen before it was typed.
+   * @param {string} char - The pending character.
+   */
+  recordTimeout(char) {
+    this.getEntry(char).timeouts++;
+    this.save();
+  }
+
+  /**
+   * Mastery of a character from 0 (weak) to 1 (mastered), combining accuracy
+   * and speed. Scores from only a few attempts are pulled toward 0.5.
+   * @param {string} char - The character.
+   * @returns {number|null} Mastery score, or null if never attempted.
+   */
+  getMastery(char) {
+    const entry = this.profile[char];
+    const attempts = entry ? entry.hits + entry.misses + entry.timeouts : 0;
+    if (!attempts) return null;
+
+    const accuracy = entry.hits / attempts;
+    const averageTime = entry.hits ? entry.totalTime / entry.hits : SLOW_TIME;
+    const speed = clamp((SLOW_TIME - averageTime) / (SLOW_TIME - FAST_TIME), 0, 1);
+    const confidence = Math.min(attempts / MIN_ATTEMPTS, 1);
+
+    return (accuracy * 0.6 + speed * 0.4) * confidence + 0.5 * (1 - confidence);
+  }
+
+  /**
+   * Pick weight for a letter or word; weaker letters weigh more.
+   * A word weighs the average of its letters.
+   * @param {string} target - Letter or word.
+   * @returns {number} Weight of at least 1.
+   */
+  getWeight(target) {
+    const chars = [...target].filter(char => char !== ' ');
+    const total = chars.reduce((sum, char) => {
+      const mastery = this.getMastery(char) ?? 0.5;
+      return sum + 1 + WEAK_BOOST * (1 - mastery);
+    }, 0);
+    return chars.length ? total / chars.length : 1;
+  }
+
+  /**
+   * Pick a random item, favouring the ones with weaker letters.
+   * @param {string[]} items - Letters or words to choose from.
+   * @param {Function} random - Random number generator, e.g. a seeded one from random.js.
+   * @returns {string} The picked item.
+   */
+  pickWeighted(items, random = Math.random) {
+    const weights = items.map(item => this.getWeight(item));
+    let remaining = random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+    for (let i = 0; i < items.length; i++) {
+      remaining -= weights[i];
+      if (remaining < 0) return items[i];
+    }
+    return items[items.length - 1];
+  }
+}
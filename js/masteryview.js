@@ -0,0 +1,121 @@
+/**
+ * masteryview.js — "My Weak Letters" Heatmap Modal
+ *
+ * Shows the player's per-letter mastery profile as a grid of letters
+ * coloured from red (weak) to green (mastered). Letters that have not
+ * been practised yet are shown in grey.
+ */
+
+import { allLetters, getLetterInfo } from './letter.js';
+import { t, formatNumber, translateTree } from './i18n.js';
+
+export default class MasteryView {
+  /**
+   * Creates the modal and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the modal to.
+   * @param {MasteryProfile} mastery - The profile to display.
+   */
+  constructor(parent = document.body, mastery) {
+    this.parent = parent;
+    this.mastery = mastery;
+
+    this.createModal();
+    this.cacheElements();
+    this.attachEvents();
+    this.hide();
+  }
+
+  /**
+   * Builds the modal DOM structure with accessibility attributes.
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'mastery-modal';
+    this.modal.className = 'helpbox-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', 'mastery-title');
+
+    this.modal.innerHTML = `
+      <div class="helpbox-content">
+        <button id="mastery-close" class="helpbox-close" data-i18n-aria-label="common.close">✖</button>
+        <h2 id="mastery-title" data-i18n="ui.weakLetters"></h2>
+        <p class="mastery-legend">
+          <span class="mastery-swatch weak"></span> <span data-i18n="mastery.weak"></span>
+          <span class="mastery-swatch strong"></span> <span data-i18n="mastery.strong"></span>
+          <span class="mastery-swatch untried"></span> <span data-i18n="mastery.untried"></span>
+        </p>
+        <div id="mastery-grid" class="mastery-grid"></div>
+      </div>
+    `;
+    translateTree(this.modal);
+
+    this.parent.appendChild(this.modal);
+  }
+
+  /**
+   * Caches modal elements for event binding and rendering.
+   */
+  cacheElements() {
+    this.closeBtn = this.modal.querySelector('#mastery-close');
+    this.grid = this.modal.querySelector('#mastery-grid');
+  }
+
+  /**
+   * Close button and clicks on the backdrop hide the modal.
+   */
+  attachEvents() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.hide();
+    });
+  }
+
+  /**
+   * Renders one heatmap cell per letter, weakest letters first.
+   */
+  render() {
+    const letters = [...allLetters].sort(
+      (a, b) => (this.mastery.getMastery(a) ?? 2) - (this.mastery.getMastery(b) ?? 2)
+    );
+
+    this.grid.innerHTML = '';
+    letters.forEach(char => {
+      const mastery = this.mastery.getMastery(char);
+      const { hits, misses, timeouts, totalTime } = this.mastery.getEntry(char);
+      const averageTime = hits
+        ? formatNumber(totalTime / hits / 1000, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+        : '-';
+
+      const cell = document.createElement('div');
+      cell.className = 'mastery-cell';
+      cell.textContent = char;
+      const { name, latin } = getLetterInfo(char);
+      cell.title = t('mastery.cell', { name, latin, hits, misses, timeouts, average: averageTime });
+      if (mastery === null) {
+        cell.classList.add('untried');
+      } else {
+        // Hue 0 (red) for weak letters up to 120 (green) for mastered ones
+        cell.style.backgroundColor = `hsl(${Math.round(mastery * 120)}, 65%, 45%)`;
+      }
+      this.grid.appendChild(cell);
+    });
+  }
+
+  /**
+   * Displays the modal with up-to-date mastery data.
+   */
+  show() {
+    this.render();
+    this.modal.style.display = 'flex';
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hides the modal.
+   */
+  hide() {
+    this.modal.style.display = 'none';
+    this.modal.classList.remove('visible');
+  }
+}
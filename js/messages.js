@@ -0,0 +1,415 @@
+/**
+ * messages.js — Message Catalogs for the Interface
+ *
+ * Every interface string, keyed by component, in Uyghur (Arabic script)
+ * and English. The Uyghur Latin and Cyrillic interfaces are transliterated
+ * from the Uyghur catalog by i18n.js, so they need no catalog of their own.
+ *
+ * Placeholders in braces, such as {score}, are filled in by t().
+ */
+
+/**
+ * Uyghur in Arabic script, the game's original interface language.
+ */
+const UG_ARAB = {
+  // index.html
+  'page.start': 'باشلاش ئۈچۈن بېسىڭ',
+  'page.gameArea': 'ئۇيغۇرچە تىل ئويناش رايونى',
+  'page.lettersAppear': 'ھەرپلەر بۇ يەردە كۆرۈنىدۇ.',
+  'page.gameOver': 'ئۇيۇن تۈگىدى',
+  'page.replay': 'قايتا باشلاش',
+
+  // Shared buttons and labels
+  'common.close': 'تاقاش',
+  'common.save': 'ساقلاش',
+  'common.listSeparator': '، ',
+
+  // ui.js
+  'ui.back': 'قايتىش',
+  'ui.settings': 'تەڭشەكلەر',
+  'ui.weakLetters': 'ئاجىز ھەرپلىرىم',
+  'ui.replays': 'خاتىرىلەنگەن ئويۇنلار',
+  'ui.seeded': 'بۇ ئۇلانمىدىكى ھەممە ئويۇنچى ئوخشاش ھەرپلەرنى ئوينايدۇ ({mode}، {level}، ئۇرۇق: {seed}).',
+  'ui.levelRetry': 'بۇ دەرىجىدىن ئۆتۈش ئۈچۈن قايتا سىناپ بېقىڭ.',
+  'ui.levelPassed': 'دەرىجىدىن ئۆتتىڭىز!',
+  'ui.levelUnlocked': 'دەرىجىدىن ئۆتتىڭىز! كېيىنكى دەرىجە ئېچىلدى.',
+  'ui.drillRetry': 'بۇ مەشىقتىن ئۆتۈش ئۈچۈن قايتا سىناپ بېقىڭ.',
+  'ui.drillPassed': 'مەشىقتىن ئۆتتىڭىز!',
+  'ui.drillUnlocked': 'مەشىقتىن ئۆتتىڭىز! كېيىنكى مەشىق ئېچىلدى.',
+  'ui.lessonComplete': 'دەرستىكى ھەممە مەشىقتىن ئۆتتىڭىز!',
+  'ui.latinInput': 'لاتىنچە ھەرپلەر كىرگۈزۈلۈۋاتىدۇ. ئۇيغۇرچە كىرگۈزگۈچ ئورنىتىلمىغان بولسا، ئىچكى ئورۇنلاشتۇرۇشنى ئىشلىتىڭ.',
+  'ui.useBuiltinLayout': 'ئىچكى ئورۇنلاشتۇرۇشقا ئالماشتۇرۇش',
+  'ui.lettersExcluded': 'بەزى ھەرپ رەسىملىرى يۈكلەنمىدى، بۇ ھەرپلەر مەشىقتىن چىقىرىلدى: {letters}',
+  'ui.imagesFailed': 'بەزى رەسىملەر يۈكلەنمىدى.',
+  'ui.updateReady': 'ئويۇننىڭ يېڭى نەشرى تەييار.',
+  'ui.update': 'يېڭىلاش',
+
+  // score.js
+  'score.current': 'نۇمۇرىڭىز: {score}',
+  'score.total': 'ئومۇمىي نومۇرىڭىز: {score}',
+  'score.combo': 'ئۇدا: {combo} ×{multiplier}',
+
+  // endscreen.js
+  'end.title': 'ياخشى ئىش!',
+  'end.personalBest': '🏆 يېڭى شەخسىي رېكورت!',
+  'end.score': 'بۇ قېتىملىق نومۇرىڭىز: {score}',
+  'end.total': 'ئومۇمىي نومۇرىڭىز: {score}',
+  'end.accuracy': 'توغرىلىق نىسبىتى: {accuracy}% (خاتالىق: {mistakes})',
+  'end.speed': 'سۈرئەت: {cpm} ھەرپ/مىنۇت ({wpm} سۆز/مىنۇت)',
+  'end.reaction': 'ئىنكاس ۋاقتى: ئوتتۇرىچە {average} سېكۇنت، ئوتتۇرا {median} سېكۇنت',
+  'end.slowest': 'ئەڭ ئاستا ھەرپلەر: {letters}',
+  'end.maxCombo': 'ئەڭ ئۇزۇن ئۇدا: {combo}',
+  'end.trend': 'ئالدىنقى قېتىملاردىكى ئوتتۇرىچە سۈرئەت: {cpm} ھەرپ/مىنۇت {arrow}',
+  'end.home': 'باش بەتكە قايتىش',
+
+  // helpbox.js
+  'help.title': 'ئۇيغۇرچە كۇنۇپكا ياردەمچىسى',
+  'help.start': 'باشلاش',
+  'help.close': 'ياردەمنى تاقاش',
+  'help.startGame': 'ئويۇننى باشلاش',
+
+  // pauseoverlay.js
+  'pause.title': 'ئويۇن توختىتىلدى',
+  'pause.hint': 'داۋاملاشتۇرۇش ئۈچۈن Esc كۇنۇپكىسىنى بېسىڭ.',
+  'pause.resume': 'داۋاملاشتۇرۇش',
+  'pause.quit': 'چېكىنىش',
+
+  // soundcontrol.js
+  'sound.mute': 'ئاۋاز',
+  'sound.volume': 'ئاۋاز مىقدارى',
+  'sound.pronunciation': 'ھەرپ تەلەپپۇزى',
+
+  // loadingscreen.js
+  'loading.title': 'يۈكلىنىۋاتىدۇ…',
+
+  // modeselect.js and levelselect.js
+  'mode.label': 'مەشىق تۈرى',
+  'mode.letters': 'ھەرپ مەشىقى',
+  'mode.forms': 'ھەرپ شەكىللىرى',
+  'mode.endless': 'چەكسىز مەشىق',
+  'mode.words': 'سۆز مەشىقى',
+  'mode.transliteration': 'لاتىنچە-كىرىلچە مەشىق',
+  'level.label': 'دەرىجە',
+  'level.name': 'دەرىجە {id}',
+
+  // game.js
+  'game.lives': 'قالغان جان: {lives}',
+  'forms.isolated': 'يالغۇز',
+  'forms.initial': 'باش',
+  'forms.medial': 'ئوتتۇرا',
+  'forms.final': 'ئاخىر',
+
+  // keyboard.js
+  'finger.left-pinky': 'سول چىمچىلاق',
+  'finger.left-ring': 'سول ئاتسىز بارماق',
+  'finger.left-middle': 'سول ئوتتۇرا بارماق',
+  'finger.left-index': 'سول كۆرسەتكۈچ بارماق',
+  'finger.thumb': 'باش بارماق',
+  'finger.right-index': 'ئوڭ كۆرسەتكۈچ بارماق',
+  'finger.right-middle': 'ئوڭ ئوتتۇرا بارماق',
+  'finger.right-ring': 'ئوڭ ئاتسىز بارماق',
+  'finger.right-pinky': 'ئوڭ چىمچىلاق',
+
+  // leaderboardview.js
+  'leaderboard.player': 'ئويۇنچى',
+  'leaderboard.guest': 'مېھمان',
+  'leaderboard.yourName': 'ئىسمىڭىز',
+  'leaderboard.newPlayer': '+ يېڭى ئويۇنچى',
+  'leaderboard.title': 'ئەڭ يۇقىرى نومۇرلار',
+  'leaderboard.score': 'نومۇر',
+  'leaderboard.accuracy': 'توغرىلىق',
+  'leaderboard.empty': 'تېخى نەتىجە يوق',
+
+  // masteryview.js
+  'mastery.weak': 'ئاجىز',
+  'mastery.strong': 'پىششىق',
+  'mastery.untried': 'مەشىق قىلىنمىغان',
+  'mastery.cell': '{name} ({latin}) — توغرا: {hits}، خاتا: {misses}، ۋاقتى ئۆتكەن: {timeouts}، ئوتتۇرىچە: {average} سېكۇنت',
+
+  // ui.js
+  'daily.play': 'كۈندىلىك مۇسابىقە',
+  'daily.played': 'بۈگۈنكى مۇسابىقىنى ئويناپ بولدىڭىز ({score} نومۇر). ئەتە يەنە كېلىڭ!',
+  'daily.rank': 'بۈگۈنكى مۇسابىقە: {count} ئويۇنچى ئىچىدە {rank}-ئورۇن.',
+
+  // replayview.js, ui.js
+  'replay.title': 'خاتىرىلەنگەن ئويۇنلار',
+  'replay.date': 'ۋاقىت',
+  'replay.game': 'ئويۇن',
+  'replay.empty': 'تېخى خاتىرىلەنگەن ئويۇن يوق',
+  'replay.watch': '{rate} ھەسسە تېزلىكتە كۆرۈش',
+  'replay.race': 'ئەڭ ياخشى نەتىجىڭىزنىڭ سايىسى بىلەن مۇسابىقىلىشىش',
+  'replay.banner': 'قايتا قويۇش ({rate}×)',
+  'replay.ghostBeaten': 'سايىڭىزدىن ئېشىپ كەتتىڭىز!',
+  'replay.ghostWon': 'بۇ قېتىم سايىڭىز ئۇتتى.',
+
+  // settingspanel.js
+  'settings.difficulty': 'قىيىنلىق',
+  'settings.letterCount': 'بىر قاتاردىكى ھەرپ سانى',
+  'settings.maxAdvance': 'ئويۇندىكى ھەرپ سانى',
+  'settings.flickerDelay': 'لىپىلداشتىن بۇرۇنقى ۋاقىت (سېكۇنت)',
+  'settings.fallDelay': 'چۈشۈپ كېتىشتىن بۇرۇنقى ۋاقىت (سېكۇنت)',
+  'settings.missPenalty': 'خاتا كۇنۇپكا ئۈچۈن تۇتۇلىدىغان نومۇر',
+  'settings.particles': 'زەررىچە ئۈنۈمى',
+  'settings.letterStyle': 'ھەرپ كۆرۈنۈشى',
+  'settings.letterImage': 'رەسىم',
+  'settings.letterText': 'خەت',
+  'settings.promptScript': 'لاتىنچە-كىرىلچە مەشىقتىكى يېزىق',
+  'script.latin': 'لاتىن يېزىقى (ULY)',
+  'script.cyrillic': 'كىرىل يېزىقى (UKY)',
+  'settings.sound': 'ئاۋاز',
+  'settings.volume': 'ئاۋاز مىقدارى',
+  'settings.muted': 'ئاۋازسىز',
+  'settings.pronunciation': 'ھەرپ تەلەپپۇزى',
+  'settings.inputDisplay': 'كىرگۈزۈش ۋە كۆرۈنۈش',
+  'settings.inputMode': 'كىرگۈزۈش ئۇسۇلى',
+  'settings.inputOs': 'سىستېما ئورۇنلاشتۇرۇشى',
+  'settings.inputBuiltin': 'ئىچكى ئورۇنلاشتۇرۇش (ئۇيغۇرچە كىرگۈزگۈچ كېرەك ئەمەس)',
+  'settings.showKeyboard': 'ئويۇن جەريانىدا كۇنۇپكا تاختىسىنى كۆرسىتىش',
+  'settings.theme': 'ئۇسلۇب',
+  'settings.themeDark': 'قاراڭغۇ',
+  'settings.themeLight': 'يورۇق',
+  'settings.language': 'تىل / Language',
+  'settings.reset': 'ئەسلىگە قايتۇرۇش',
+  'settings.delayError': 'لىپىلداش ۋاقتى چۈشۈپ كېتىش ۋاقتىدىن قىسقا بولۇشى كېرەك.',
+
+  // lessonlist.js
+  'lessons.title': 'دەرسلەر',
+  'lessons.drill': 'مەشىق',
+  'lessons.drillNumber': '{number}-مەشىق',
+  'lessons.import': 'ئەكىرىش',
+  'lessons.new': 'يېڭى',
+  'lessons.edit': 'تەھرىرلەش',
+  'lessons.export': 'چىقىرىش',
+  'lessons.delete': 'ئۆچۈرۈش',
+  'lessons.freePractice': 'ئەركىن مەشىق',
+  'lessons.confirmDelete': '«{name}» دەرسىنى ئۆچۈرەمسىز؟',
+  'lessons.saved': '«{name}» دەرسى ساقلاندى.',
+
+  // lessoneditor.js
+  'editor.title': 'دەرس تەھرىرلىگۈچ',
+  'editor.lessonName': 'دەرسنىڭ ئىسمى',
+  'editor.addDrill': 'مەشىق قوشۇش',
+  'editor.removeDrill': 'مەشىقنى چىقىرىۋېتىش',
+  'editor.drillName': 'ئىسمى',
+  'editor.mode': 'مەشىق تۈرى',
+  'editor.letters': 'ھەرپلەر (بوش قالسا ھەممىسى)',
+  'editor.words': 'سۆزلەر (ھەر قۇردا بىرى)',
+  'editor.sequence': 'مۇقىم تەرتىپ (سۆزلەر ھەر قۇردا بىرى)',
+  'editor.passRatio': 'ئۆتۈش نىسبىتى (%)',
+  'editor.hamzaShare': 'سۆز بېشىدىكى سوزۇق تاۋۇشلار (%)',
+
+  // lessons.js validation
+  'lessonError.invalidDrill': '{drill} خاتا.',
+  'lessonError.unknownMode': '{drill}: نامەلۇم مەشىق تۈرى: {mode}',
+  'lessonError.emptyList': '{drill}: "{field}" بوش بولماسلىقى كېرەك.',
+  'lessonError.invalidEntry': '{drill}: "{field}" دا خاتا قىممەت بار: {value}',
+  'lessonError.wordsOnly': '{drill}: "words" پەقەت سۆز ۋە لاتىنچە-كىرىلچە مەشىقتە ئىشلىتىلىدۇ.',
+  'lessonError.choice': '{drill}: {key} پەقەت {values} بولالايدۇ.',
+  'lessonError.range': '{drill}: {key} {min} بىلەن {max} ئارىلىقىدا بولۇشى كېرەك.',
+  'lessonError.delays': '{drill}: FLICKER_DELAY چوقۇم FALL_DELAY دىن كىچىك بولۇشى كېرەك.',
+  'lessonError.invalid': 'دەرس ھۆججىتى خاتا.',
+  'lessonError.newer': 'بۇ دەرس ھۆججىتى ئويۇننىڭ يېڭى نەشرىگە تەئەللۇق.',
+  'lessonError.noName': 'دەرسنىڭ ئىسمى يوق.',
+  'lessonError.noDrills': 'دەرستە مەشىق يوق.',
+  'lessonError.notJson': 'دەرس ھۆججىتى JSON فورماتىدا ئەمەس.',
+  'lessonError.download': 'دەرس ھۆججىتىنى چۈشۈرگىلى بولمىدى.',
+  'lessonError.downloadStatus': 'دەرس ھۆججىتىنى چۈشۈرگىلى بولمىدى ({status}).',
+};
+
+/**
+ * English.
+ */
+const EN = {
+  'page.start': 'Click to start',
+  'page.gameArea': 'Uyghur typing play area',
+  'page.lettersAppear': 'Letters appear here.',
+  'page.gameOver': 'Game over',
+  'page.replay': 'Play again',
+
+  'common.close': 'Close',
+  'common.save': 'Save',
+  'common.listSeparator': ', ',
+
+  'ui.back': 'Back',
+  'ui.settings': 'Settings',
+  'ui.weakLetters': 'My weak letters',
+  'ui.replays': 'Recorded games',
+  'ui.seeded': 'Everyone who opens this link plays the same letters ({mode}, {level}, seed: {seed}).',
+  'ui.levelRetry': 'Try again to pass this level.',
+  'ui.levelPassed': 'Level passed!',
+  'ui.levelUnlocked': 'Level passed! The next level is unlocked.',
+  'ui.drillRetry': 'Try again to pass this drill.',
+  'ui.drillPassed': 'Drill passed!',
+  'ui.drillUnlocked': 'Drill passed! The next drill is unlocked.',
+  'ui.lessonComplete': 'You passed every drill of the lesson!',
+  'ui.latinInput': 'Latin letters are being typed. If no Uyghur keyboard is installed, use the built-in layout.',
+  'ui.useBuiltinLayout': 'Switch to the built-in layout',
+  'ui.lettersExcluded': 'Some letter images did not load; these letters were left out of practice: {letters}',
+  'ui.imagesFailed': 'Some images did not load.',
+  'ui.updateReady': 'A new version of the game is ready.',
+  'ui.update': 'Update',
+
+  'score.current': 'Score: {score}',
+  'score.total': 'Total score: {score}',
+  'score.combo': 'Combo: {combo} ×{multiplier}',
+
+  'end.title': 'Well done!',
+  'end.personalBest': '🏆 New personal best!',
+  'end.score': 'Your score this round: {score}',
+  'end.total': 'Your total score: {score}',
+  'end.accuracy': 'Accuracy: {accuracy}% (mistakes: {mistakes})',
+  'end.speed': 'Speed: {cpm} letters/minute ({wpm} words/minute)',
+  'end.reaction': 'Reaction time: average {average} s, median {median} s',
+  'end.slowest': 'Slowest letters: {letters}',
+  'end.maxCombo': 'Longest combo: {combo}',
+  'end.trend': 'Average speed in recent rounds: {cpm} letters/minute {arrow}',
+  'end.home': 'Back to the home screen',
+
+  'help.title': 'Uyghur keyboard guide',
+  'help.start': 'Start',
+  'help.close': 'Close help',
+  'help.startGame': 'Start game',
+
+  'pause.title': 'Game paused',
+  'pause.hint': 'Press Esc to continue.',
+  'pause.resume': 'Continue',
+  'pause.quit': 'Quit',
+
+  'sound.mute': 'Sound',
+  'sound.volume': 'Volume',
+  'sound.pronunciation': 'Letter pronunciation',
+
+  'loading.title': 'Loading…',
+
+  'mode.label': 'Practice mode',
+  'mode.letters': 'Letters',
+  'mode.forms': 'Letter forms',
+  'mode.endless': 'Endless',
+  'mode.words': 'Words',
+  'mode.transliteration': 'Latin/Cyrillic to Arabic',
+  'level.label': 'Level',
+  'level.name': 'Level {id}',
+
+  'game.lives': 'Lives left: {lives}',
+  'forms.isolated': 'isolated',
+  'forms.initial': 'initial',
+  'forms.medial': 'medial',
+  'forms.final': 'final',
+
+  'finger.left-pinky': 'left little finger',
+  'finger.left-ring': 'left ring finger',
+  'finger.left-middle': 'left middle finger',
+  'finger.left-index': 'left index finger',
+  'finger.thumb': 'thumb',
+  'finger.right-index': 'right index finger',
+  'finger.right-middle': 'right middle finger',
+  'finger.right-ring': 'right ring finger',
+  'finger.right-pinky': 'right little finger',
+
+  'leaderboard.player': 'Player',
+  'leaderboard.guest': 'Guest',
+  'leaderboard.yourName': 'Your name',
+  'leaderboard.newPlayer': '+ New player',
+  'leaderboard.title': 'High scores',
+  'leaderboard.score': 'Score',
+  'leaderboard.accuracy': 'Accuracy',
+  'leaderboard.empty': 'No results yet',
+
+  'mastery.weak': 'Weak',
+  'mastery.strong': 'Mastered',
+  'mastery.untried': 'Not practised',
+  'mastery.cell': '{name} ({latin}) — correct: {hits}, wrong: {misses}, timed out: {timeouts}, average: {average} s',
+
+  // ui.js
+  'daily.play': 'Daily challenge',
+  'daily.played': 'You have played today\'s challenge ({score} points). Come back tomorrow!',
+  'daily.rank': 'Today\'s challenge: place {rank} of {count} players.',
+
+  // replayview.js, ui.js
+  'replay.title': 'Recorded games',
+  'replay.date': 'Date',
+  'replay.game': 'Game',
+  'replay.empty': 'No recorded games yet',
+  'replay.watch': 'Watch at {rate}× speed',
+  'replay.race': 'Race the ghost of your best run',
+  'replay.banner': 'Replay ({rate}×)',
+  'replay.ghostBeaten': 'You beat your ghost!',
+  'replay.ghostWon': 'Your ghost won this time.',
+
+  'settings.difficulty': 'Difficulty',
+  'settings.letterCount': 'Letters per row',
+  'settings.maxAdvance': 'Letters per game',
+  'settings.flickerDelay': 'Time before flickering (seconds)',
+  'settings.fallDelay': 'Time before falling (seconds)',
+  'settings.missPenalty': 'Points lost per wrong key',
+  'settings.particles': 'Particle effects',
+  'settings.letterStyle': 'Letter display',
+  'settings.letterImage': 'Image',
+  'settings.letterText': 'Text',
+  'settings.promptScript': 'Script of transliteration prompts',
+  'script.latin': 'Latin (ULY)',
+  'script.cyrillic': 'Cyrillic (UKY)',
+  'settings.sound': 'Sound',
+  'settings.volume': 'Volume',
+  'settings.muted': 'Mute',
+  'settings.pronunciation': 'Letter pronunciation',
+  'settings.inputDisplay': 'Input and display',
+  'settings.inputMode': 'Input method',
+  'settings.inputOs': 'System layout',
+  'settings.inputBuiltin': 'Built-in layout (no Uyghur keyboard needed)',
+  'settings.showKeyboard': 'Show the keyboard while playing',
+  'settings.theme': 'Theme',
+  'settings.themeDark': 'Dark',
+  'settings.themeLight': 'Light',
+  'settings.language': 'Language / تىل',
+  'settings.reset': 'Reset',
+  'settings.delayError': 'The flicker time must be shorter than the fall time.',
+
+  'lessons.title': 'Lessons',
+  'lessons.drill': 'Drill',
+  'lessons.drillNumber': 'Drill {number}',
+  'lessons.import': 'Import',
+  'lessons.new': 'New',
+  'lessons.edit': 'Edit',
+  'lessons.export': 'Export',
+  'lessons.delete': 'Delete',
+  'lessons.freePractice': 'Free practice',
+  'lessons.confirmDelete': 'Delete the lesson “{name}”?',
+  'lessons.saved': 'Lesson “{name}” saved.',
+
+  'editor.title': 'Lesson editor',
+  'editor.lessonName': 'Lesson name',
+  'editor.addDrill': 'Add drill',
+  'editor.removeDrill': 'Remove drill',
+  'editor.drillName': 'Name',
+  'editor.mode': 'Practice mode',
+  'editor.letters': 'Letters (all if empty)',
+  'editor.words': 'Words (one per line)',
+  'editor.sequence': 'Fixed order (words one per line)',
+  'editor.passRatio': 'Pass ratio (%)',
+  'editor.hamzaShare': 'Word-initial vowels (%)',
+
+  'lessonError.invalidDrill': '{drill} is invalid.',
+  'lessonError.unknownMode': '{drill}: unknown practice mode: {mode}',
+  'lessonError.emptyList': '{drill}: "{field}" must not be empty.',
+  'lessonError.invalidEntry': '{drill}: "{field}" has an invalid value: {value}',
+  'lessonError.wordsOnly': '{drill}: "words" can only be used in word and transliteration drills.',
+  'lessonError.choice': '{drill}: {key} must be one of {values}.',
+  'lessonError.range': '{drill}: {key} must be between {min} and {max}.',
+  'lessonError.delays': '{drill}: FLICKER_DELAY must be less than FALL_DELAY.',
+  'lessonError.invalid': 'The lesson file is invalid.',
+  'lessonError.newer': 'This lesson file needs a newer version of the game.',
+  'lessonError.noName': 'The lesson has no name.',
+  'lessonError.noDrills': 'The lesson has no drills.',
+  'lessonError.notJson': 'The lesson file is not JSON.',
+  'lessonError.download': 'The lesson file could not be downloaded.',
+  'lessonError.downloadStatus': 'The lesson file could not be downloaded ({status}).',
+};
+
+/**
+ * Catalogs by language code.
+ */
+export const MESSAGES = {
+  'ug-Arab': UG_ARAB,
+  en: EN,
+};
@@ -0,0 +1,116 @@
+/**
+ * modeselect.js — Practice Mode Selector for the Home Screen
+ *
+ * Renders a radio-style button group that lets the player choose between
+ * practice modes (single letters, letter forms, endless letters, whole words or
+ * Latin/Cyrillic transliteration) and remembers the choice across sessions using localStorage.
+ */
+
+import { translateTree } from './i18n.js';
+
+const MODE_KEY = 'uyghurTypingMode';
+
+/**
+ * Practice modes; each label is the `mode.<id>` message.
+ */
+const MODES = [
+  'letters', // Single letter practice
+  'forms',   // Initial, medial and final letter forms
+  'endless', // Letters keep coming until lives run out
+  'words',   // Word and phrase practice
+  'transliteration', // Latin or Cyrillic prompts typed in Arabic script
+];
+
+/**
+ * Whether a mode id names a practice mode.
+ * @param {string} mode - Mode id.
+ * @returns {boolean}
+ */
+export const isPracticeMode = (mode) => MODES.includes(mode);
+
+export default class ModeSelect {
+  /**
+   * Creates the mode selector and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the selector to.
+   */
+  constructor(parent = document.body) {
+    this.parent = parent;
+    this.mode = this.loadMode();
+
+    this.createGroup();
+    this.attachEvents();
+    this.updateSelection();
+  }
+
+  /**
+   * Load the last selected mode from localStorage.
+   * @returns {string} A known mode id, defaulting to the first mode.
+   */
+  loadMode() {
+    const stored = localStorage.getItem(MODE_KEY);
+    return MODES.includes(stored) ? stored : MODES[0];
+  }
+
+  /**
+   * Builds the button group DOM structure with accessibility attributes.
+   */
+  createGroup() {
+    this.group = document.createElement('div');
+    this.group.id = 'mode-select';
+    this.group.setAttribute('role', 'radiogroup');
+    this.group.dataset.i18nAriaLabel = 'mode.label';
+
+    this.buttons = MODES.map(id => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn mode-option';
+      button.dataset.mode = id;
+      button.dataset.i18n = `mode.${id}`;
+      button.setAttribute('role', 'radio');
+      this.group.appendChild(button);
+      return button;
+    });
+    translateTree(this.group);
+
+    this.parent.appendChild(this.group);
+  }
+
+  /**
+   * Selects a mode when one of the option buttons is clicked.
+   */
+  attachEvents() {
+    this.group.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-mode]');
+      if (button) this.select(button.dataset.mode);
+    });
+  }
+
+  /**
+   * Selects a mode, persists it and updates the buttons.
+   * @param {string} mode - Mode id to select.
+   */
+  select(mode) {
+    this.mode = mode;
+    localStorage.setItem(MODE_KEY, mode);
+    this.updateSelection();
+  }
+
+  /**
+   * Reflects the selected mode on the option buttons.
+   */
+  updateSelection() {
+    this.buttons.forEach(button => {
+      const selected = button.dataset.mode === this.mode;
+      button.classList.toggle('selected', selected);
+      button.setAttribute('aria-checked', String(selected));
+    });
+  }
+
+  /**
+   * Get the currently selected mode.
+   * @returns {string} Mode id ('letters' or 'words').
+   */
+  getMode() {
+    return this.mode;
+  }
+}
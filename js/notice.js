@@ -0,0 +1,71 @@
+/**
+ * notice.js — Dismissible Notice Banner
+ *
+ * Shows a short message at the top of the screen, optionally with an
+ * action button, and hides it automatically after a while. Used for
+ * warnings and hints that should not interrupt the game.
+ */
+
+const DEFAULT_DURATION = 8000; // Time in ms before the notice hides itself
+
+export default class Notice {
+  /**
+   * Creates the notice banner and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the banner to.
+   */
+  constructor(parent = document.body) {
+    this.parent = parent;
+    this.hideTimer = null;
+
+    this.createBanner();
+    this.hide();
+  }
+
+  /**
+   * Builds the banner DOM; aria-live announces messages to screen readers.
+   */
+  createBanner() {
+    this.banner = document.createElement('div');
+    this.banner.id = 'notice';
+    this.banner.setAttribute('role', 'status');
+    this.banner.setAttribute('aria-live', 'polite');
+
+    this.messageElement = document.createElement('span');
+    this.actionButton = document.createElement('button');
+    this.actionButton.type = 'button';
+    this.actionButton.className = 'btn';
+
+    this.banner.append(this.messageElement, this.actionButton);
+    this.parent.appendChild(this.banner);
+  }
+
+  /**
+   * Shows a message, replacing any notice that is currently visible.
+   * @param {string} message - Text to display.
+   * @param {Object} options
+   * @param {string} options.actionLabel - Label for the optional action button.
+   * @param {Function} options.onAction - Called when the action button is clicked.
+   * @param {number} options.duration - Time in ms before hiding, 0 to keep it open.
+   */
+  show(message, { actionLabel = '', onAction = null, duration = DEFAULT_DURATION } = {}) {
+    this.messageElement.textContent = message;
+    this.actionButton.textContent = actionLabel;
+    this.actionButton.hidden = !onAction;
+    this.actionButton.onclick = () => {
+      this.hide();
+      onAction?.();
+    };
+
+    this.banner.style.display = 'flex';
+    clearTimeout(this.hideTimer);
+    if (duration) this.hideTimer = setTimeout(() => this.hide(), duration);
+  }
+
+  /**
+   * Hides the notice.
+   */
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.banner.style.display = 'none';
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * pauseoverlay.js — Pause Overlay
+ *
+ * A modal shown while the game is paused, with buttons to resume the
+ * game or quit to the home screen.
+ */
+
+import { translateTree } from './i18n.js';
+
+export default class PauseOverlay {
+  /**
+   * Creates the overlay and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the overlay to.
+   * @param {Function} onResume - Callback triggered when the "Resume" button is clicked.
+   * @param {Function} onQuit - Callback triggered when the "Quit" button is clicked.
+   */
+  constructor(parent = document.body, onResume = () => {}, onQuit = () => {}) {
+    this.parent = parent;
+    this.onResume = onResume;
+    this.onQuit = onQuit;
+
+    this.createModal();
+    this.cacheElements();
+    this.attachEvents();
+    this.hide();
+  }
+
+  /**
+   * Builds the overlay DOM structure with accessibility attributes.
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'pause-modal';
+    this.modal.className = 'helpbox-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', 'pause-title');
+
+    this.modal.innerHTML = `
+      <div class="helpbox-content pause-content">
+        <h2 id="pause-title" data-i18n="pause.title"></h2>
+        <p data-i18n="pause.hint"></p>
+        <div class="pause-actions">
+          <button id="pause-resume" type="button" class="btn" data-i18n="pause.resume"></button>
+          <button id="pause-quit" type="button" class="btn" data-i18n="pause.quit"></button>
+        </div>
+      </div>
+    `;
+    translateTree(this.modal);
+
+    this.parent.appendChild(this.modal);
+  }
+
+  /**
+   * Caches overlay buttons for event binding.
+   */
+  cacheElements() {
+    this.resumeBtn = this.modal.querySelector('#pause-resume');
+    this.quitBtn = this.modal.querySelector('#pause-quit');
+  }
+
+  /**
+   * Binds the resume and quit buttons to their callbacks.
+   */
+  attachEvents() {
+    this.resumeBtn.addEventListener('click', () => this.onResume());
+    this.quitBtn.addEventListener('click', () => this.onQuit());
+  }
+
+  /**
+   * Displays the overlay and focuses the resume button.
+   */
+  show() {
+    this.modal.style.display = 'flex';
+    this.modal.classList.add('visible');
+    this.resumeBtn.focus();
+  }
+
+  /**
+   * Hides the overlay.
+   */
+  hide() {
+    this.modal.style.display = 'none';
+    this.modal.classList.remove('visible');
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * plugins.js — Game Plugin Registry
+ *
+ * A plugin is a function that receives each new game when it starts and
+ * subscribes to its events (see the event list in game.js). Plugins are
+ * registered from any module script on the page:
+ *
+ *   import { registerPlugin } from '/js/plugins.js';
+ *   registerPlugin((game) => {
+ *     game.on('miss', ({ expected, actual }) => console.log(expected, actual));
+ *   });
+ */
+
+const plugins = new Set();
+
+/**
+ * Registers a plugin for all games started from now on.
+ * @param {Function} plugin - Called with each new game.
+ * @returns {Function} Unregisters the plugin.
+ */
+export const registerPlugin = (plugin) => {
+  plugins.add(plugin);
+  return () => plugins.delete(plugin);
+};
+
+/**
+ * Hands a new game to every registered plugin. A plugin that throws is
+ * reported and skipped.
+ * @param {UyghurTypingGame} game - Game about to start.
+ */
+export const applyPlugins = (game) => {
+  plugins.forEach(plugin => {
+    try {
+      plugin(game);
+    } catch (error) {
+      console.error('Game plugin failed:', error);
+    }
+  });
+};
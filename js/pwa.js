@@ -0,0 +1,54 @@
+/**
+ * pwa.js — Service Worker Registration and Updates
+ *
+ * Registers the offline service worker (sw.js) and reports when a new
+ * version has been downloaded and is waiting, so the page can offer a
+ * reload. Accepting the update activates the new worker and reloads once
+ * it has taken control.
+ */
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Registers the service worker if the browser supports it.
+ * @param {Function} onUpdate - Called with a function that applies the waiting update.
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null if unavailable.
+ */
+export const registerServiceWorker = async (onUpdate = () => {}) => {
+  if (!('serviceWorker' in navigator)) return null;
+
+  const hadController = Boolean(navigator.serviceWorker.controller); // False on the very first visit
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, { type: 'module' });
+  } catch {
+    return null; // Unsupported (e.g. no module workers) or not served over HTTP(S): play online only
+  }
+
+  /**
+   * Offers the update of a worker that finished installing while an older one is in control.
+   * @param {ServiceWorker} worker - The installed, waiting worker.
+   */
+  const offerUpdate = (worker) => {
+    if (!hadController) return; // First install, nothing to replace
+    onUpdate(() => worker.postMessage('SKIP_WAITING'));
+  };
+
+  if (registration.waiting) offerUpdate(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed') offerUpdate(worker);
+    });
+  });
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading || !hadController) return; // Taking control on the first visit needs no reload
+    reloading = true;
+    window.location.reload();
+  });
+
+  return registration;
+};
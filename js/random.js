@@ -0,0 +1,63 @@
+/**
+ * random.js — Seeded Random Numbers
+ *
+ * The game draws every random choice of its sequence (letters, words,
+ * hamza-initial vowels and letter forms) from a generator it is given,
+ * Math.random by default. A seeded generator makes the sequence
+ * reproducible: the same seed, mode and level give every player the same
+ * letters. Seeds are text, from the `seed` URL parameter of a seeded run,
+ * which also names its mode and level, e.g.
+ *   index.html?seed=class-7a&mode=words&level=3
+ * or from the date for the daily challenge.
+ */
+
+const SEED_PARAM = 'seed';   // URL parameter that seeds every free practice game
+const MODE_PARAM = 'mode';   // URL parameter with the practice mode of a seeded run
+const LEVEL_PARAM = 'level'; // URL parameter with the level of a seeded run
+
+/**
+ * Hashes seed text to a 32-bit number (FNV-1a).
+ * @param {string} text - Seed text.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+export const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (const char of text) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32), a drop-in
+ * replacement for Math.random.
+ * @param {string} seed - Seed text; the same seed gives the same numbers.
+ * @returns {Function} Returns the next number in [0, 1) on each call.
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Reads a seeded run from the URL: the `seed`, and the `mode` and `level`
+ * every player plays it in, letters on level 1 unless given.
+ * @returns {{seed: string, mode: string, level: number}|null} The run, or null to play unseeded games.
+ */
+export const getSeededRun = () => {
+  const params = new URLSearchParams(window.location.search);
+  const seed = params.get(SEED_PARAM)?.trim();
+  if (!seed) return null;
+  return {
+    seed,
+    mode: params.get(MODE_PARAM) ?? 'letters',
+    level: Number(params.get(LEVEL_PARAM)) || 1,
+  };
+};
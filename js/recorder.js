@@ -0,0 +1,132 @@
+/**
+ * recorder.js — Game Recordings for Replays and Ghost Races
+ *
+ * Records every game as a compact timeline, so it can be watched again or
+ * raced as a ghost. A recording holds the game's mode, level and config,
+ * its targets in the order they were created, and every keystroke and
+ * timeout with its time in ms since the first letter, pauses left out:
+ *
+ *   {
+ *     id, date, player, score, hits, total, mode, level, lessonId, config,
+ *     targets: [{ keys: 'ا' }, { keys: 'ب', form: 'initial' }],
+ *     timeline: [[812, 'ا'], [1604, 'ز'], [9010, null]],   // null: the target fell
+ *   }
+ *
+ * The most recent recordings are kept in localStorage, together with each
+ * player's best run in every mode and level so it can always be raced.
+ */
+
+const RECORDINGS_KEY = 'uyghurTypingRecordings';
+const MAX_RECORDINGS = 20; // Recent games kept besides the best runs
+
+/**
+ * Load all saved recordings.
+ * @returns {Object[]} Recordings, oldest first.
+ */
+export const loadRecordings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RECORDINGS_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Highest scoring recording of a player in a mode and level.
+ * @param {string} player - Player name.
+ * @param {string} mode - Practice mode.
+ * @param {number|string} level - Level or lesson drill id.
+ * @param {Object[]} recordings - Recordings to search.
+ * @returns {Object|null} The best run, or null if the player has none there.
+ */
+export const getBestRecording = (player, mode, level, recordings = loadRecordings()) =>
+  recordings
+    .filter(recording => recording.player === player && recording.mode === mode && recording.level === level)
+    .reduce((best, recording) => (!best || recording.score > best.score ? recording : best), null);
+
+/**
+ * Whether a recording is its player's best run in its mode and level.
+ * @param {Object} recording - Recording to check.
+ * @param {Object[]} recordings - All recordings.
+ * @returns {boolean}
+ */
+export const isBestRecording = (recording, recordings = loadRecordings()) =>
+  getBestRecording(recording.player, recording.mode, recording.level, recordings)?.id === recording.id;
+
+/**
+ * Save a recording. The oldest recordings beyond MAX_RECORDINGS are
+ * dropped unless they are a best run.
+ * @param {Object} recording - Finished recording.
+ */
+export const saveRecording = (recording) => {
+  const recordings = [...loadRecordings(), recording];
+  let excess = recordings.length - MAX_RECORDINGS;
+  const kept = recordings.filter(saved => {
+    if (excess <= 0 || isBestRecording(saved, recordings)) return true;
+    excess--;
+    return false;
+  });
+  localStorage.setItem(RECORDINGS_KEY, JSON.stringify(kept));
+};
+
+export default class GameRecorder {
+  constructor() {
+    this.recording = null; // Recording of the last finished game, until it is saved
+  }
+
+  /**
+   * Records a game from its events. Keystrokes are taken from hits and
+   * misses, so composed input is recorded as the characters it typed.
+   * @param {UyghurTypingGame} game - Game to record.
+   */
+  connect(game) {
+    const timeline = [];
+    let startedAt = null; // Time of the first letter, moved forward by pauses
+    let pausedAt = 0;
+    const add = (char) => timeline.push([Math.round(performance.now() - startedAt), char]);
+
+    this.recording = null;
+    game.on('letterShown', () => {
+      startedAt ??= performance.now();
+    });
+    game.on('hit', ({ char }) => add(char));
+    game.on('miss', ({ actual }) => add(actual));
+    game.on('timeout', () => add(null));
+    game.on('pause', () => {
+      pausedAt = performance.now();
+    });
+    game.on('resume', () => {
+      startedAt += performance.now() - pausedAt;
+    });
+    game.on('gameOver', ({ hits, total }) => {
+      this.recording = {
+        id: `${Date.now()}`,
+        date: new Date().toISOString(),
+        hits,
+        total,
+        mode: game.mode,
+        level: game.level?.id ?? null,
+        lessonId: game.level?.lessonId,
+        config: { ...game.config },
+        targets: game.created.map(({ keys, form }) => (form ? { keys, form } : { keys })),
+        timeline,
+      };
+    });
+  }
+
+  /**
+   * Saves the recording of the finished game with its player and score.
+   * @param {Object} details
+   * @param {string} details.player - Player who played the game.
+   * @param {number} details.score - Final score.
+   * @returns {Object|null} The saved recording, or null if no game has finished.
+   */
+  save({ player, score }) {
+    if (!this.recording) return null;
+
+    const recording = { ...this.recording, player, score };
+    saveRecording(recording);
+    this.recording = null;
+    return recording;
+  }
+}
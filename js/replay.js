@@ -0,0 +1,105 @@
+/**
+ * replay.js — Replays of Recorded Games
+ *
+ * Plays a recording back in a driven game: the recorded targets appear in
+ * the same order and the recorded keystrokes and timeouts are fed to the
+ * game at their times, so it plays out exactly as it was played. Replays
+ * run at 1x or faster; the game's flicker delays are shortened to match.
+ * Pausing the game pauses the replay. A ghost is a replay shown beside the
+ * player's own game on the same sequence.
+ */
+
+import UyghurTypingGame from './game.js';
+import { getLevel } from './levels.js';
+import { getLesson, getLessonDrills } from './lessons.js';
+
+export const REPLAY_RATES = [1, 2];
+
+const TIMED_CONFIG = ['FLICKER_DELAY', 'FALL_DELAY', 'DELAY_PER_CHAR']; // Delays scaled by the playback rate
+
+/**
+ * Finds the level or lesson drill a recording was played on.
+ * @param {Object} recording - Recording with `level` and, for drills, `lessonId`.
+ * @returns {Object|null} The level definition, or null if its lesson was deleted.
+ */
+export const getRecordedLevel = ({ level, lessonId }) => {
+  if (!lessonId) return getLevel(level);
+
+  const lesson = getLesson(lessonId);
+  return lesson ? getLessonDrills(lesson).find(drill => drill.id === level) ?? null : null;
+};
+
+export default class Replayer {
+  /**
+   * Creates the driven game that replays the recording. Call start() to play it.
+   * @param {HTMLElement} area - The DOM element to render the replay inside.
+   * @param {Object} recording - Recording from recorder.js.
+   * @param {Object} options
+   * @param {number} options.rate - Playback speed, e.g. 2 for twice as fast.
+   * @param {Object} options.level - Level shown, for its background; null for none.
+   * @param {Object} options.config - CONFIG overrides applied over the recorded config.
+   */
+  constructor(area, recording, { rate = 1, level = null, config = {} } = {}) {
+    this.recording = recording;
+    this.rate = rate;
+    this.next = 0;       // Index of the next timeline entry to feed
+    this.time = 0;       // Recording time in ms replayed so far
+    this.resumedAt = 0;  // performance.now() when playback last started or resumed
+    this.timer = null;
+
+    const scaled = Object.fromEntries(TIMED_CONFIG.map(key => [key, recording.config[key] / rate]));
+    this.game = new UyghurTypingGame(area, {
+      mode: recording.mode,
+      level,
+      targets: recording.targets,
+      driven: true,
+      config: { ...recording.config, ...scaled, ...config },
+    });
+    this.game.on('pause', () => this.hold());
+    this.game.on('resume', () => this.play());
+  }
+
+  /**
+   * Starts the game and the playback.
+   */
+  start() {
+    this.game.start();
+    this.play();
+  }
+
+  /**
+   * Schedules the next timeline entry from the time already replayed.
+   */
+  play() {
+    this.resumedAt = performance.now();
+    const entry = this.recording.timeline[this.next];
+    if (!entry) return;
+
+    const [time, char] = entry;
+    this.timer = setTimeout(() => {
+      if (!this.game.running) return;
+
+      this.time = time;
+      this.next++;
+      if (char === null) this.game.dropTarget();
+      else this.game.handleText(char);
+      this.play();
+    }, Math.max(time - this.time, 0) / this.rate);
+  }
+
+  /**
+   * Holds the playback while the game is paused.
+   */
+  hold() {
+    clearTimeout(this.timer);
+    this.time += (performance.now() - this.resumedAt) * this.rate;
+  }
+
+  /**
+   * Stops the playback and the game.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.game.stop();
+  }
+}
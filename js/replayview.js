@@ -0,0 +1,163 @@
+/**
+ * replayview.js — Recorded Games Modal
+ *
+ * Lists the recorded games, newest first, with buttons to watch each one
+ * at 1x or 2x speed. The current player's best run in a mode and level
+ * is starred and can be raced as a ghost on the same sequence.
+ */
+
+import { DEFAULT_PLAYER } from './leaderboard.js';
+import { loadRecordings, isBestRecording } from './recorder.js';
+import { REPLAY_RATES, getRecordedLevel } from './replay.js';
+import { t, formatNumber, formatDate, translateTree } from './i18n.js';
+
+export default class ReplayView {
+  /**
+   * Creates the modal and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the modal to.
+   * @param {Leaderboard} leaderboard - Leaderboard holding the current player.
+   * @param {Function} onWatch - Called with a recording and playback rate to watch it.
+   * @param {Function} onRace - Called with a recording to race its ghost.
+   */
+  constructor(parent = document.body, leaderboard, onWatch, onRace) {
+    this.parent = parent;
+    this.leaderboard = leaderboard;
+    this.onWatch = onWatch;
+    this.onRace = onRace;
+
+    this.createModal();
+    this.cacheElements();
+    this.attachEvents();
+    this.hide();
+  }
+
+  /**
+   * Builds the modal DOM structure with accessibility attributes.
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'replay-modal';
+    this.modal.className = 'helpbox-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', 'replay-title');
+
+    this.modal.innerHTML = `
+      <div class="helpbox-content">
+        <button id="replay-close" class="helpbox-close" data-i18n-aria-label="common.close">✖</button>
+        <h2 id="replay-title" data-i18n="replay.title"></h2>
+        <table class="leaderboard-table replay-table">
+          <thead>
+            <tr>
+              <th data-i18n="replay.date"></th>
+              <th data-i18n="leaderboard.player"></th>
+              <th data-i18n="replay.game"></th>
+              <th data-i18n="leaderboard.score"></th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody id="replay-rows"></tbody>
+        </table>
+      </div>
+    `;
+    translateTree(this.modal);
+
+    this.parent.appendChild(this.modal);
+  }
+
+  /**
+   * Caches modal elements for event binding and rendering.
+   */
+  cacheElements() {
+    this.closeBtn = this.modal.querySelector('#replay-close');
+    this.rows = this.modal.querySelector('#replay-rows');
+  }
+
+  /**
+   * Close button and clicks on the backdrop hide the modal.
+   */
+  attachEvents() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.hide();
+    });
+  }
+
+  /**
+   * Renders one row per recording, newest first.
+   * Text is set with textContent since player names are user input.
+   */
+  render() {
+    const recordings = loadRecordings();
+    this.rows.innerHTML = '';
+    if (!recordings.length) {
+      const cell = this.rows.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = t('replay.empty');
+      return;
+    }
+
+    [...recordings].reverse().forEach(recording => {
+      const { date, player, mode, level, score } = recording;
+      const best = player === this.leaderboard.getCurrentPlayer() && isBestRecording(recording, recordings);
+      const row = this.rows.insertRow();
+      const values = [
+        formatDate(date),
+        player === DEFAULT_PLAYER ? t('leaderboard.guest') : player,
+        `${t(`mode.${mode}`)} · ${typeof level === 'number' ? t('level.name', { id: level }) : level}`,
+        `${formatNumber(score)}${best ? ' ★' : ''}`,
+      ];
+      values.forEach(value => {
+        row.insertCell().textContent = value;
+      });
+
+      const actions = row.insertCell();
+      REPLAY_RATES.forEach(rate => {
+        actions.appendChild(this.createAction(`▶ ${formatNumber(rate)}×`, t('replay.watch', { rate }), () => {
+          this.onWatch(recording, rate);
+        }));
+      });
+      if (best && getRecordedLevel(recording)) {
+        actions.appendChild(this.createAction('👻', t('replay.race'), () => this.onRace(recording)));
+      }
+    });
+  }
+
+  /**
+   * Creates a row button that hides the modal before acting.
+   * @param {string} text - Button text.
+   * @param {string} label - Accessible name and tooltip.
+   * @param {Function} onClick - Called when the button is clicked.
+   * @returns {HTMLButtonElement} The button.
+   */
+  createAction(text, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn replay-action';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', () => {
+      this.hide();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Displays the modal with up-to-date recordings.
+   */
+  show() {
+    this.render();
+    this.modal.style.display = 'flex';
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hides the modal.
+   */
+  hide() {
+    this.modal.style.display = 'none';
+    this.modal.classList.remove('visible');
+  }
+}
@@ -1,38 +1,67 @@
 // score.js — Handles Score Tracking and UI Updates
 
-const TOTAL_SCORE_KEY = 'uyghurTypingTotalScore';
+import { LocalScoreStorage } from './storage.js';
+import { t, onLanguageChange } from './i18n.js';
+
+const COMBO_STEP = 5;       // Consecutive hits needed to raise the multiplier by one
+const MAX_MULTIPLIER = 4;   // Highest combo multiplier
+const SPEED_BONUS = 0.5;    // Extra share of points for a hit before the letter flickers
+const MIN_COMBO_SHOWN = 2;  // Streak length from which the combo is displayed
+const HIT_POINTS = 10;      // Base points for each character of a typed target
 
 /**
  * ScoreManager class to track current game score and total score across sessions.
- * Manages score display updates and persistence using localStorage.
+ * Manages score display updates and persistence through a storage adapter.
+ * Consecutive hits build a combo that multiplies the points of each hit;
+ * a miss or timeout breaks it.
  */
 export default class ScoreManager {
   /**
    * @param {HTMLElement} displayElement - DOM element where the score is displayed.
+   * @param {LocalScoreStorage} storage - Storage adapter for the total score and results.
+   * @param {HTMLElement} comboElement - DOM element where the live combo is displayed.
    */
-  constructor(displayElement) {
+  constructor(displayElement, storage = new LocalScoreStorage(), comboElement = null) {
     this.displayElement = displayElement; // Reference to score display element
+    this.comboElement = comboElement;    // Reference to combo display element
+    this.storage = storage;              // Where scores are persisted
     this.score = 0;                      // Current game session score
-    this.totalScore = this.loadTotalScore(); // Load total score from localStorage
+    this.combo = 0;                      // Consecutive hits without a miss or timeout
+    this.maxCombo = 0;                   // Longest combo of the current game
+    this.totalScore = this.loadTotalScore(); // Load total score from storage
+    this.showingTotal = true;            // Whether the display shows the total or the current score
 
     // Update the UI to show the loaded total score on initialization
     this.updateDisplay({ showTotal: true });
+    onLanguageChange(() => {
+      this.updateDisplay({ showTotal: this.showingTotal });
+      this.updateComboDisplay();
+    });
   }
 
   /**
-   * Load total accumulated score from localStorage.
+   * Load total accumulated score from the storage adapter.
    * @returns {number} The total score or 0 if not found.
    */
   loadTotalScore() {
-    const stored = localStorage.getItem(TOTAL_SCORE_KEY);
-    return stored ? parseInt(stored, 10) : 0;
+    return this.storage.loadTotalScore();
   }
 
   /**
-   * Save the total accumulated score back to localStorage.
+   * Save the total accumulated score back to the storage adapter.
    */
   saveTotalScore() {
-    localStorage.setItem(TOTAL_SCORE_KEY, this.totalScore.toString());
+    this.storage.saveTotalScore(this.totalScore);
+  }
+
+  /**
+   * Submit a finished game result through the storage adapter,
+   * e.g. to a class-wide ranking server.
+   * @param {Object} result - Finished game result.
+   * @returns {Promise<void>} Resolves when the submit attempt is over.
+   */
+  submitResult(result) {
+    return this.storage.submitResult(result);
   }
 
   /**
@@ -40,7 +69,10 @@ export default class ScoreManager {
    */
   reset() {
     this.score = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
     this.updateDisplay();
+    this.updateComboDisplay();
   }
 
   /**
@@ -56,6 +88,80 @@ export default class ScoreManager {
     this.saveTotalScore();
   }
 
+  /**
+   * Score a fully typed target: extends the combo and adds its points times
+   * the combo multiplier, with a bonus for a hit before the letter flickers.
+   * @param {number} points - Base points of the target.
+   * @param {boolean} fast - Whether the target was typed before it started flickering.
+   * @returns {number} Points awarded.
+   */
+  registerHit(points, fast = false) {
+    this.combo++;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+
+    const awarded = Math.round(points * (fast ? 1 + SPEED_BONUS : 1) * this.getMultiplier());
+    this.increment(awarded);
+    this.updateComboDisplay();
+    return awarded;
+  }
+
+  /**
+   * Scores a game from its events: typed targets earn points through
+   * registerHit, wrong keystrokes cost the game's MISS_PENALTY, and
+   * misses and timeouts break the combo.
+   * @param {UyghurTypingGame} game - Game to score.
+   */
+  connect(game) {
+    game.on('hit', ({ target, complete, fast }) => {
+      if (complete) this.registerHit(HIT_POINTS * target.keys.length, fast);
+    });
+    game.on('miss', () => {
+      this.penalize(game.config.MISS_PENALTY);
+      this.breakCombo();
+    });
+    game.on('timeout', () => this.breakCombo());
+  }
+
+  /**
+   * End the current combo after a miss or timeout.
+   */
+  breakCombo() {
+    this.combo = 0;
+    this.updateComboDisplay();
+  }
+
+  /**
+   * Score multiplier of the current combo: one more for every COMBO_STEP
+   * consecutive hits, up to MAX_MULTIPLIER.
+   * @returns {number} Multiplier from 1 to MAX_MULTIPLIER.
+   */
+  getMultiplier() {
+    return Math.min(1 + Math.floor(this.combo / COMBO_STEP), MAX_MULTIPLIER);
+  }
+
+  /**
+   * Get the longest combo of the current game.
+   * @returns {number} Longest streak of consecutive hits.
+   */
+  getMaxCombo() {
+    return this.maxCombo;
+  }
+
+  /**
+   * Deduct penalty points for a mistake from the current and total score.
+   * The current score never drops below zero.
+   * @param {number} points - Number of points to deduct (default 5).
+   */
+  penalize(points = 5) {
+    const deducted = Math.min(points, this.score);
+    this.score -= deducted;
+    this.totalScore -= deducted;
+
+    this.updateDisplay();
+    this.animatePenalty();
+    this.saveTotalScore();
+  }
+
   /**
    * Get the current game session score.
    * @returns {number} Current session score.
@@ -82,9 +188,10 @@ export default class ScoreManager {
   updateDisplay({ animate = false, showTotal = false } = {}) {
     if (!this.displayElement) return;
 
+    this.showingTotal = showTotal;
     const scoreText = showTotal
-      ? `ئومۇمىي نومۇرىڭىز: ${this.totalScore}`
-      : `نۇمۇرىڭىز: ${this.score}`;
+      ? t('score.total', { score: this.totalScore })
+      : t('score.current', { score: this.score });
 
     if (this.displayElement.textContent !== scoreText) {
       this.displayElement.textContent = scoreText;
@@ -95,6 +202,16 @@ export default class ScoreManager {
     }
   }
 
+  /**
+   * Show the combo and multiplier next to the score while a streak is running.
+   */
+  updateComboDisplay() {
+    if (!this.comboElement) return;
+
+    this.comboElement.hidden = this.combo < MIN_COMBO_SHOWN;
+    this.comboElement.textContent = t('score.combo', { combo: this.combo, multiplier: this.getMultiplier() });
+  }
+
   /**
    * Animate the score display element to give visual feedback on score changes.
    * Uses scaling and brightness effects along with CSS class 'pulse'.
@@ -112,4 +229,21 @@ export default class ScoreManager {
       this.displayElement.classList.remove('pulse');
     }, 600);
   }
+
+  /**
+   * Shake the score display with a red tint to signal a penalty.
+   */
+  animatePenalty() {
+    if (!this.displayElement) return;
+
+    this.displayElement.animate(
+      [
+        { transform: 'translateX(0)', filter: 'hue-rotate(-30deg) saturate(2)' },
+        { transform: 'translateX(-6px)' },
+        { transform: 'translateX(6px)' },
+        { transform: 'translateX(0)', filter: 'none' }
+      ],
+      { duration: 300 }
+    );
+  }
 }
@@ -0,0 +1,148 @@
+/**
+ * settings.js — Persisted Game Settings
+ *
+ * Holds every user-tunable option of the game, from difficulty (sequence
+ * length, timing) to sound, input mode, theme and interface language, and
+ * saves them to localStorage under a single key.
+ *
+ * Only values that differ from the defaults are stored. Difficulty values
+ * a teacher has changed apply on top of every level; unchanged ones follow
+ * the level definitions.
+ */
+
+import { DEFAULT_LANGUAGE, setLanguage } from './i18n.js';
+
+const SETTINGS_KEY = 'uyghurTypingSettings';
+
+/**
+ * Default difficulty values; upper-case keys match the game CONFIG.
+ */
+export const DEFAULT_GAME_CONFIG = {
+  LETTER_COUNT: 7,         // Number of letters per sequence
+  MAX_ADVANCE: 7,          // Maximum letters player can advance before game ends
+  FLICKER_DELAY: 7000,     // Time in ms before letter flickers to warn timeout
+  FALL_DELAY: 10000,       // Time in ms before letter falls off screen
+  MISS_PENALTY: 5,         // Points deducted for each wrong keystroke
+  PARTICLES: true,         // Whether correct hits show a particle burst
+  LETTER_STYLE: 'image',   // 'image' to show letter images, 'text' to draw letters with the letter font
+  PROMPT_SCRIPT: 'latin',  // Script of transliteration prompts, 'latin' (ULY) or 'cyrillic' (UKY)
+};
+
+/**
+ * Difficulty values that shape a run and its score. Seeded runs and the
+ * daily challenge leave them to the level, so players' own settings do
+ * not change what everyone plays.
+ */
+const RUN_CONFIG_KEYS = ['LETTER_COUNT', 'MAX_ADVANCE', 'FLICKER_DELAY', 'FALL_DELAY', 'MISS_PENALTY'];
+
+/**
+ * Defaults for all settings.
+ */
+export const DEFAULT_SETTINGS = {
+  ...DEFAULT_GAME_CONFIG,
+  volume: 0.7,             // Sound volume from 0 to 1
+  muted: false,            // Whether all sound is off
+  pronunciation: false,    // Whether letters are pronounced as they become active
+  inputMode: 'os',         // 'os' or 'builtin' keyboard layout, see input.js
+  showKeyboard: false,     // Whether the on-screen keyboard shows during play
+  theme: 'dark',           // 'dark' or 'light'
+  language: DEFAULT_LANGUAGE, // Interface language code, see i18n.js
+};
+
+export default class Settings {
+  constructor() {
+    this.values = this.load(); // Only values that differ from DEFAULT_SETTINGS
+    this.applyTheme();
+    this.applyLanguage();
+  }
+
+  /**
+   * Load stored settings from localStorage, dropping unknown keys.
+   * @returns {Object} Stored values keyed by setting name.
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) ?? {};
+      return Object.fromEntries(
+        Object.entries(stored).filter(([key]) => key in DEFAULT_SETTINGS)
+      );
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Save the customized values to localStorage.
+   */
+  save() {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.values));
+  }
+
+  /**
+   * Get the effective value of a setting.
+   * @param {string} key - Setting name.
+   * @returns {*} Stored value, or the default.
+   */
+  get(key) {
+    return key in this.values ? this.values[key] : DEFAULT_SETTINGS[key];
+  }
+
+  /**
+   * Change a setting and save. Setting a value back to its default forgets it.
+   * @param {string} key - Setting name.
+   * @param {*} value - New value.
+   */
+  set(key, value) {
+    if (value === DEFAULT_SETTINGS[key]) delete this.values[key];
+    else this.values[key] = value;
+
+    this.save();
+    if (key === 'theme') this.applyTheme();
+    if (key === 'language') this.applyLanguage();
+  }
+
+  /**
+   * Forget all customized values.
+   */
+  reset() {
+    this.values = {};
+    this.save();
+    this.applyTheme();
+    this.applyLanguage();
+  }
+
+  /**
+   * Difficulty values the player has customized, to pass into the game.
+   * @returns {Object} CONFIG overrides with upper-case keys.
+   */
+  getGameConfig() {
+    return Object.fromEntries(
+      Object.entries(this.values).filter(([key]) => key in DEFAULT_GAME_CONFIG)
+    );
+  }
+
+  /**
+   * Customized values that only change how a game looks, for games that
+   * must play the same for everyone.
+   * @returns {Object} CONFIG overrides without the RUN_CONFIG_KEYS.
+   */
+  getDisplayConfig() {
+    return Object.fromEntries(
+      Object.entries(this.getGameConfig()).filter(([key]) => !RUN_CONFIG_KEYS.includes(key))
+    );
+  }
+
+  /**
+   * Applies the theme to the document root for CSS to pick up.
+   */
+  applyTheme() {
+    document.documentElement.dataset.theme = this.get('theme');
+  }
+
+  /**
+   * Switches the interface to the chosen language.
+   */
+  applyLanguage() {
+    setLanguage(this.get('language'));
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * settingspanel.js — Settings Modal
+ *
+ * A modal form for the persisted settings: sequence length, letters per
+ * round, flicker and fall delays, miss penalty, particle effects, letter
+ * images or text, the script of transliteration prompts, sound, input
+ * mode, on-screen keyboard, theme and interface language. Changes are
+ * saved on Save; Reset restores all defaults.
+ */
+
+import { INPUT_MODES } from './input.js';
+import { TRANSLITERATION_SCRIPTS } from './letter.js';
+import { LANGUAGES, t, translateTree } from './i18n.js';
+
+/**
+ * Delay settings are stored in milliseconds but edited in seconds.
+ */
+const SECONDS_FIELDS = ['FLICKER_DELAY', 'FALL_DELAY'];
+
+export default class SettingsPanel {
+  /**
+   * Creates the modal and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the modal to.
+   * @param {Settings} settings - The settings to edit.
+   * @param {Function} onSave - Callback invoked after settings are saved or reset.
+   */
+  constructor(parent = document.body, settings, onSave = () => {}) {
+    this.parent = parent;
+    this.settings = settings;
+    this.onSave = onSave;
+
+    this.createModal();
+    this.cacheElements();
+    this.attachEvents();
+    this.hide();
+  }
+
+  /**
+   * Builds the modal DOM structure with accessibility attributes.
+   * Every form field is named after the setting it edits.
+   */
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.id = 'settings-modal';
+    this.modal.className = 'helpbox-modal';
+    this.modal.setAttribute('role', 'dialog');
+    this.modal.setAttribute('aria-modal', 'true');
+    this.modal.setAttribute('aria-labelledby', 'settings-title');
+
+    this.modal.innerHTML = `
+      <div class="helpbox-content">
+        <button id="settings-close" class="helpbox-close" data-i18n-aria-label="common.close">✖</button>
+        <h2 id="settings-title" data-i18n="ui.settings"></h2>
+        <form id="settings-form" class="settings-form">
+          <fieldset>
+            <legend data-i18n="settings.difficulty"></legend>
+            <label><span data-i18n="settings.letterCount"></span>
+              <input type="number" name="LETTER_COUNT" min="1" max="12" required />
+            </label>
+            <label><span data-i18n="settings.maxAdvance"></span>
+              <input type="number" name="MAX_ADVANCE" min="1" max="100" required />
+            </label>
+            <label><span data-i18n="settings.flickerDelay"></span>
+              <input type="number" name="FLICKER_DELAY" min="1" max="60" step="0.5" required />
+            </label>
+            <label><span data-i18n="settings.fallDelay"></span>
+              <input type="number" name="FALL_DELAY" min="1" max="60" step="0.5" required />
+            </label>
+            <label><span data-i18n="settings.missPenalty"></span>
+              <input type="number" name="MISS_PENALTY" min="0" max="100" required />
+            </label>
+            <label><input type="checkbox" name="PARTICLES" /> <span data-i18n="settings.particles"></span></label>
+            <label><span data-i18n="settings.letterStyle"></span>
+              <select name="LETTER_STYLE">
+                <option value="image" data-i18n="settings.letterImage"></option>
+                <option value="text" data-i18n="settings.letterText"></option>
+              </select>
+            </label>
+            <label><span data-i18n="settings.promptScript"></span>
+              <select name="PROMPT_SCRIPT">
+                ${TRANSLITERATION_SCRIPTS.map(script => `<option value="${script}" data-i18n="script.${script}"></option>`).join('')}
+              </select>
+            </label>
+          </fieldset>
+          <fieldset>
+            <legend data-i18n="settings.sound"></legend>
+            <label><span data-i18n="settings.volume"></span>
+              <input type="range" name="volume" min="0" max="1" step="0.05" />
+            </label>
+            <label><input type="checkbox" name="muted" /> <span data-i18n="settings.muted"></span></label>
+            <label id="settings-pronunciation" hidden><input type="checkbox" name="pronunciation" /> <span data-i18n="settings.pronunciation"></span></label>
+          </fieldset>
+          <fieldset>
+            <legend data-i18n="settings.inputDisplay"></legend>
+            <label><span data-i18n="settings.inputMode"></span>
+              <select name="inputMode">
+                <option value="${INPUT_MODES.OS}" data-i18n="settings.inputOs"></option>
+                <option value="${INPUT_MODES.BUILTIN}" data-i18n="settings.inputBuiltin"></option>
+              </select>
+            </label>
+            <label><input type="checkbox" name="showKeyboard" /> <span data-i18n="settings.showKeyboard"></span></label>
+            <label><span data-i18n="settings.theme"></span>
+              <select name="theme">
+                <option value="dark" data-i18n="settings.themeDark"></option>
+                <option value="light" data-i18n="settings.themeLight"></option>
+              </select>
+            </label>
+            <label><span data-i18n="settings.language"></span>
+              <select name="language">
+                ${Object.entries(LANGUAGES).map(([code, { name }]) => `<option value="${code}" lang="${code}">${name}</option>`).join('')}
+              </select>
+            </label>
+          </fieldset>
+          <p id="settings-error" class="settings-error" role="alert" hidden></p>
+          <div class="settings-actions">
+            <button type="submit" class="btn" data-i18n="common.save"></button>
+            <button type="button" id="settings-reset" class="btn" data-i18n="settings.reset"></button>
+          </div>
+        </form>
+      </div>
+    `;
+    translateTree(this.modal);
+
+    this.parent.appendChild(this.modal);
+  }
+
+  /**
+   * Caches modal elements for event binding and form updates.
+   */
+  cacheElements() {
+    this.closeBtn = this.modal.querySelector('#settings-close');
+    this.form = this.modal.querySelector('#settings-form');
+    this.resetBtn = this.modal.querySelector('#settings-reset');
+    this.error = this.modal.querySelector('#settings-error');
+    this.pronunciationField = this.modal.querySelector('#settings-pronunciation');
+  }
+
+  /**
+   * Shows the pronunciation toggle once clips are known to be installed.
+   * @param {boolean} available - Whether pronunciation clips exist.
+   */
+  setPronunciationAvailable(available) {
+    this.pronunciationField.hidden = !available;
+  }
+
+  /**
+   * Binds the form buttons; close button and backdrop clicks hide the modal.
+   */
+  attachEvents() {
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.hide();
+    });
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+
+    this.resetBtn.addEventListener('click', () => {
+      this.settings.reset();
+      this.fill();
+      this.onSave();
+    });
+  }
+
+  /**
+   * Fills the form fields with the current settings.
+   */
+  fill() {
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name) return;
+
+      const value = this.settings.get(field.name);
+      if (field.type === 'checkbox') field.checked = value;
+      else if (SECONDS_FIELDS.includes(field.name)) field.value = value / 1000;
+      else field.value = value;
+    });
+    this.error.hidden = true;
+  }
+
+  /**
+   * Reads the form, validates the delays and saves every setting.
+   */
+  save() {
+    const values = {};
+    Array.from(this.form.elements).forEach(field => {
+      if (!field.name) return;
+
+      if (field.type === 'checkbox') values[field.name] = field.checked;
+      else if (SECONDS_FIELDS.includes(field.name)) values[field.name] = Math.round(field.value * 1000);
+      else if (field.type === 'number' || field.type === 'range') values[field.name] = Number(field.value);
+      else values[field.name] = field.value;
+    });
+
+    if (values.FLICKER_DELAY >= values.FALL_DELAY) {
+      this.error.textContent = t('settings.delayError');
+      this.error.hidden = false;
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => this.settings.set(key, value));
+    this.onSave();
+    this.hide();
+  }
+
+  /**
+   * Displays the modal with the current settings.
+   */
+  show() {
+    this.fill();
+    this.modal.style.display = 'flex';
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hides the modal.
+   */
+  hide() {
+    this.modal.style.display = 'none';
+    this.modal.classList.remove('visible');
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * soundcontrol.js — Volume, Mute and Pronunciation Controls
+ *
+ * A small always-visible widget with a mute toggle, a volume slider and a
+ * toggle for letter pronunciation, bound to the shared AudioManager. The
+ * pronunciation toggle only shows once clips are found.
+ */
+
+import { translateTree } from './i18n.js';
+
+const ICON = {
+  sound: '🔊',
+  muted: '🔇',
+  pronounce: '🗣',
+};
+
+export default class SoundControl {
+  /**
+   * Creates the widget and appends it to the parent element.
+   * @param {HTMLElement} parent - The container element to append the widget to.
+   * @param {AudioManager} audio - The audio manager to control.
+   */
+  constructor(parent = document.body, audio) {
+    this.parent = parent;
+    this.audio = audio;
+
+    this.createWidget();
+    this.cacheElements();
+    this.attachEvents();
+    this.update();
+  }
+
+  /**
+   * Builds the widget DOM with accessible labels.
+   */
+  createWidget() {
+    this.widget = document.createElement('div');
+    this.widget.id = 'sound-control';
+    this.widget.innerHTML = `
+      <button id="mute-btn" type="button" data-i18n-aria-label="sound.mute"></button>
+      <input id="volume-slider" type="range" min="0" max="1" step="0.05" data-i18n-aria-label="sound.volume" />
+      <button id="pronounce-btn" type="button" data-i18n-aria-label="sound.pronunciation" hidden>${ICON.pronounce}</button>
+    `;
+    translateTree(this.widget);
+    this.parent.appendChild(this.widget);
+  }
+
+  /**
+   * Caches widget elements.
+   */
+  cacheElements() {
+    this.muteButton = this.widget.querySelector('#mute-btn');
+    this.volumeSlider = this.widget.querySelector('#volume-slider');
+    this.pronounceButton = this.widget.querySelector('#pronounce-btn');
+  }
+
+  /**
+   * Binds the controls to the audio manager.
+   */
+  attachEvents() {
+    this.muteButton.addEventListener('click', () => {
+      this.audio.setMuted(!this.audio.isMuted());
+      this.update();
+    });
+
+    this.volumeSlider.addEventListener('input', () => {
+      this.audio.setVolume(parseFloat(this.volumeSlider.value));
+      if (this.audio.isMuted()) this.audio.setMuted(false);
+      this.update();
+    });
+
+    this.pronounceButton.addEventListener('click', () => {
+      this.audio.setPronunciationEnabled(!this.audio.isPronunciationEnabled());
+      this.update();
+    });
+  }
+
+  /**
+   * Reflects the audio manager's state on the controls.
+   */
+  update() {
+    const muted = this.audio.isMuted();
+    this.muteButton.textContent = muted ? ICON.muted : ICON.sound;
+    this.muteButton.setAttribute('aria-pressed', String(muted));
+    this.volumeSlider.value = this.audio.getVolume();
+
+    const pronounce = this.audio.isPronunciationEnabled();
+    this.pronounceButton.hidden = !this.audio.hasClips;
+    this.pronounceButton.classList.toggle('active', pronounce);
+    this.pronounceButton.setAttribute('aria-pressed', String(pronounce));
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * stats.js — Per-Game Keystroke Statistics and Session History
+ *
+ * Records correct and wrong keystrokes and reaction times during a single
+ * game session and derives summary figures such as accuracy, typing speed
+ * and the slowest letters for the end screen. Finished sessions are kept
+ * in localStorage so players can compare their speed over time.
+ */
+
+const SESSION_HISTORY_KEY = 'uyghurTypingSessions';
+const MAX_SESSIONS = 50;      // Number of past sessions kept in history
+const SLOWEST_COUNT = 3;      // Number of slowest letters reported
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values - Values to take the median of.
+ * @returns {number} The median, or 0 for an empty list.
+ */
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export default class SessionStats {
+  constructor() {
+    this.correct = 0;       // Number of correctly typed characters
+    this.mistakes = [];     // Wrong keystrokes as { expected, actual, index }
+    this.reactions = [];    // Reaction times as { char, time } in ms
+    this.startedAt = performance.now(); // Session start time
+    this.activeSince = this.startedAt;  // When the current character became active
+    this.pausedAt = null;               // When the game was paused, null while running
+  }
+
+  /**
+   * Stop the clocks while the game is paused.
+   */
+  pause() {
+    this.pausedAt ??= performance.now();
+  }
+
+  /**
+   * Restart the clocks, leaving the paused time out of speed and reaction figures.
+   */
+  resume() {
+    if (this.pausedAt === null) return;
+
+    const pausedFor = performance.now() - this.pausedAt;
+    this.startedAt += pausedFor;
+    this.activeSince += pausedFor;
+    this.pausedAt = null;
+  }
+
+  /**
+   * Mark the moment a new target becomes active, starting its reaction timer.
+   */
+  markActive() {
+    this.activeSince = performance.now();
+  }
+
+  /**
+   * Record a correctly typed character with its reaction time.
+   * The next character of the same word is timed from this keypress.
+   * @param {string} char - The character that was typed.
+   * @returns {number} Reaction time in ms.
+   */
+  recordHit(char) {
+    const now = performance.now();
+    const time = now - this.activeSince;
+    this.correct++;
+    this.reactions.push({ char, time });
+    this.activeSince = now;
+    return time;
+  }
+
+  /**
+   * Record a wrong keystroke.
+   * @param {string} expected - The character that should have been typed.
+   * @param {string} actual - The character that was typed instead.
+   * @param {number} index - Index of the target in the sequence.
+   */
+  recordMiss(expected, actual, index) {
+    this.mistakes.push({ expected, actual, index });
+  }
+
+  /**
+   * Share of keystrokes that were correct.
+   * @returns {number} Accuracy as a whole percentage (100 when nothing was typed).
+   */
+  getAccuracy() {
+    const total = this.correct + this.mistakes.length;
+    return total ? Math.round((this.correct / total) * 100) : 100;
+  }
+
+  /**
+   * Correct characters per minute over the whole session so far.
+   * @returns {number} Characters per minute, rounded.
+   */
+  getCpm() {
+    const minutes = (performance.now() - this.startedAt) / 60000;
+    return minutes > 0 ? Math.round(this.correct / minutes) : 0;
+  }
+
+  /**
+   * Letters with the highest average reaction time.
+   * @returns {Object[]} Up to SLOWEST_COUNT entries as { char, time }, slowest first.
+   */
+  getSlowestLetters() {
+    const timesByChar = new Map();
+    this.reactions.forEach(({ char, time }) => {
+      if (!timesByChar.has(char)) timesByChar.set(char, []);
+      timesByChar.get(char).push(time);
+    });
+
+    return [...timesByChar]
+      .map(([char, times]) => ({
+        char,
+        time: Math.round(times.reduce((sum, t) => sum + t, 0) / times.length),
+      }))
+      .sort((a, b) => b.time - a.time)
+      .slice(0, SLOWEST_COUNT);
+  }
+
+  /**
+   * Summary of the session for the game over callback.
+   * Words per minute uses the usual convention of five characters per word.
+   * @returns {Object} Accuracy, speed and reaction time figures plus the recorded mistakes.
+   */
+  summarize() {
+    const times = this.reactions.map(({ time }) => time);
+    const cpm = this.getCpm();
+
+    return {
+      accuracy: this.getAccuracy(),
+      correct: this.correct,
+      mistakes: [...this.mistakes],
+      cpm,
+      wpm: Math.round(cpm / 5),
+      averageReaction: times.length
+        ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length)
+        : 0,
+      medianReaction: Math.round(median(times)),
+      slowestLetters: this.getSlowestLetters(),
+    };
+  }
+}
+
+/**
+ * Load the list of past session summaries from localStorage.
+ * @returns {Object[]} Past sessions, oldest first.
+ */
+export const loadSessionHistory = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_HISTORY_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Append a finished session to the history, keeping the most recent MAX_SESSIONS.
+ * @param {Object} summary - Session summary from SessionStats.summarize().
+ */
+export const saveSession = ({ cpm, accuracy, averageReaction, medianReaction }) => {
+  const history = [
+    ...loadSessionHistory(),
+    { date: new Date().toISOString(), cpm, accuracy, averageReaction, medianReaction },
+  ].slice(-MAX_SESSIONS);
+
+  localStorage.setItem(SESSION_HISTORY_KEY, JSON.stringify(history));
+};
+
+/**
+ * Average typing speed over the most recent sessions.
+ * @param {Object[]} sessions - Session history entries.
+ * @param {number} count - Number of most recent sessions to include.
+ * @returns {number|null} Average characters per minute, or null without history.
+ */
+export const getRecentAverageCpm = (sessions, count = 5) => {
+  const recent = sessions.slice(-count);
+  if (!recent.length) return null;
+  return Math.round(recent.reduce((sum, { cpm }) => sum + cpm, 0) / recent.length);
+};
@@ -0,0 +1,196 @@
+/**
+ * storage.js — Pluggable Score Storage Adapters
+ *
+ * Decouples score persistence from ScoreManager. Every adapter provides:
+ *   - loadTotalScore(): number
+ *   - saveTotalScore(total)
+ *   - submitResult(result): Promise
+ *
+ * LocalScoreStorage keeps everything in localStorage. HttpScoreStorage
+ * additionally POSTs each finished game to a configurable endpoint for
+ * class-wide rankings. Results wait in a persistent queue while the
+ * endpoint is unreachable and are sent once it is back; results the
+ * server rejects for good are dropped.
+ */
+
+const TOTAL_SCORE_KEY = 'uyghurTypingTotalScore';
+const ENDPOINT_KEY = 'uyghurTypingScoreEndpoint';
+const QUEUE_KEY = 'uyghurTypingScoreQueue';
+
+const ENDPOINT_PARAM = 'scoreEndpoint'; // URL parameter that sets the endpoint
+const REQUEST_TIMEOUT = 8000;           // Time in ms before a POST is abandoned
+const RETRY_DELAY = 30000;              // Time in ms before retrying a failed sync
+const RETRY_STATUSES = [408, 429];      // Client errors worth retrying, besides 5xx
+
+/**
+ * Stores the total score in localStorage; results stay local.
+ */
+export class LocalScoreStorage {
+  /**
+   * Load total accumulated score from localStorage.
+   * @returns {number} The total score or 0 if not found.
+   */
+  loadTotalScore() {
+    const stored = localStorage.getItem(TOTAL_SCORE_KEY);
+    return stored ? parseInt(stored, 10) : 0;
+  }
+
+  /**
+   * Save the total accumulated score to localStorage.
+   * @param {number} total - Total score.
+   */
+  saveTotalScore(total) {
+    localStorage.setItem(TOTAL_SCORE_KEY, total.toString());
+  }
+
+  /**
+   * Local storage keeps results in the leaderboard only, so nothing to send.
+   * @returns {Promise<void>}
+   */
+  submitResult() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Stores the total score locally and POSTs game results to a remote endpoint,
+ * queueing them while offline.
+ */
+export class HttpScoreStorage extends LocalScoreStorage {
+  /**
+   * @param {string} endpoint - URL that accepts results as JSON POST requests.
+   * @param {Function} fetchImpl - fetch implementation, replaceable for testing.
+   */
+  constructor(endpoint, fetchImpl = (...args) => fetch(...args)) {
+    super();
+    this.endpoint = endpoint;
+    this.fetchImpl = fetchImpl;
+    this.queue = this.loadQueue();
+    this.syncing = null;      // Promise of the sync in progress
+    this.retryTimer = null;
+
+    window.addEventListener('online', () => this.sync());
+    this.sync();
+  }
+
+  /**
+   * Load results still waiting to be sent.
+   * @returns {Object[]} Queued results, oldest first.
+   */
+  loadQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(QUEUE_KEY)) ?? [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the queue so pending results survive a page reload.
+   */
+  saveQueue() {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(this.queue));
+  }
+
+  /**
+   * Number of results waiting to be sent.
+   * @returns {number} Queue length.
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue a finished game and try to send everything pending.
+   * Each result gets an id so the server can ignore duplicates from retries.
+   * @param {Object} result - Finished game result.
+   * @returns {Promise<void>} Resolves when the sync attempt is over.
+   */
+  submitResult(result) {
+    this.queue.push({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      ...result,
+    });
+    this.saveQueue();
+    return this.sync();
+  }
+
+  /**
+   * Send queued results in order, stopping at the first retryable failure
+   * and scheduling a retry. Concurrent calls share one sync run.
+   * @returns {Promise<void>} Resolves when the sync attempt is over.
+   */
+  sync() {
+    this.syncing ??= this.sendQueued().finally(() => {
+      this.syncing = null;
+    });
+    return this.syncing;
+  }
+
+  /**
+   * Sends queued results one by one until the queue is empty or a request
+   * fails in a way worth retrying. Rejected results are dropped.
+   * @returns {Promise<void>}
+   */
+  async sendQueued() {
+    clearTimeout(this.retryTimer);
+
+    while (this.queue.length) {
+      if ((await this.post(this.queue[0])) === 'retry') {
+        this.retryTimer = setTimeout(() => this.sync(), RETRY_DELAY);
+        return;
+      }
+      this.queue.shift();
+      this.saveQueue();
+    }
+  }
+
+  /**
+   * POST a single result to the endpoint.
+   * @param {Object} result - Queued result.
+   * @returns {Promise<string>} 'sent' if the server accepted it, 'rejected' if
+   *   it refused it for good (4xx), 'retry' for network errors, timeouts, 5xx,
+   *   408 and 429.
+   */
+  async post(result) {
+    if (navigator.onLine === false) return 'retry';
+
+    try {
+      const response = await this.fetchImpl(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(result),
+        signal: AbortSignal.timeout?.(REQUEST_TIMEOUT),
+      });
+      if (response.ok) return 'sent';
+      const retryable = response.status >= 500 || RETRY_STATUSES.includes(response.status);
+      return retryable ? 'retry' : 'rejected';
+    } catch {
+      return 'retry'; // Network error or timeout: keep the result queued
+    }
+  }
+}
+
+/**
+ * Reads the score endpoint from the `scoreEndpoint` URL parameter, which is
+ * remembered for later visits (an empty value clears it), or from localStorage.
+ * @returns {string|null} Endpoint URL, or null to keep scores local.
+ */
+export const getScoreEndpoint = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(ENDPOINT_PARAM)) {
+    const endpoint = params.get(ENDPOINT_PARAM).trim();
+    if (endpoint) localStorage.setItem(ENDPOINT_KEY, endpoint);
+    else localStorage.removeItem(ENDPOINT_KEY);
+  }
+  return localStorage.getItem(ENDPOINT_KEY);
+};
+
+/**
+ * Creates the storage adapter for the configured endpoint.
+ * @returns {LocalScoreStorage} HTTP storage when an endpoint is set, otherwise local storage.
+ */
+export const createScoreStorage = () => {
+  const endpoint = getScoreEndpoint();
+  return endpoint ? new HttpScoreStorage(endpoint) : new LocalScoreStorage();
+};
@@ -4,6 +4,43 @@ import UyghurTypingGame from './game.js';
 import ScoreManager from './score.js';
 import EndScreen from './endscreen.js';
 import HelpBox from './helpbox.js';
+import AudioManager from './audio.js';
+import SoundControl from './soundcontrol.js';
+import Settings from './settings.js';
+import SettingsPanel from './settingspanel.js';
+import MasteryProfile from './mastery.js';
+import MasteryView from './masteryview.js';
+import OnScreenKeyboard from './keyboard.js';
+import InputMapper, { INPUT_MODES } from './input.js';
+import Notice from './notice.js';
+import PauseOverlay from './pauseoverlay.js';
+import Leaderboard from './leaderboard.js';
+import LeaderboardView from './leaderboardview.js';
+import { createScoreStorage } from './storage.js';
+import { registerServiceWorker } from './pwa.js';
+import { applyPlugins } from './plugins.js';
+import { preloadAssets } from './assets.js';
+import LoadingScreen from './loadingscreen.js';
+import ModeSelect, { isPracticeMode } from './modeselect.js';
+import LevelSelect from './levelselect.js';
+import LessonList from './lessonlist.js';
+import LessonEditor from './lessoneditor.js';
+import GameRecorder from './recorder.js';
+import Replayer, { getRecordedLevel } from './replay.js';
+import ReplayView from './replayview.js';
+import { createRandom, getSeededRun } from './random.js';
+import {
+  DAILY_CHALLENGE,
+  getDailyDate,
+  createDailyRandom,
+  getDailyResult,
+  startDailyChallenge,
+  finishDailyChallenge,
+} from './daily.js';
+import { isLevelPassed, unlockNextLevel, getLevelConfig, getLevel } from './levels.js';
+import { recordDrillPassed, getLesson, fetchLesson, getLessonUrl } from './lessons.js';
+import { loadSessionHistory, saveSession, getRecentAverageCpm } from './stats.js';
+import { t, translateTree } from './i18n.js';
 
 /**
  * UIManager class to encapsulate all UI logic and game flow.
@@ -14,28 +51,96 @@ class UIManager {
     // Cache all required DOM elements for later use
     this.elements = this.cacheDOMElements();
 
+    // Settings come first so every component renders in the chosen language
+    this.settings = new Settings();
+
     // Initialize score manager and end screen with respective DOM elements
-    this.scoreManager = new ScoreManager(this.elements.scoreDisplay);
+    this.scoreManager = new ScoreManager(
+      this.elements.scoreDisplay,
+      createScoreStorage(),
+      this.elements.comboDisplay
+    );
     this.endScreen = new EndScreen(document.body);
+    this.audio = new AudioManager(this.settings);
+    this.soundControl = new SoundControl(document.body, this.audio);
+    this.mastery = new MasteryProfile();
+    this.masteryView = new MasteryView(document.body, this.mastery);
+    this.gameKeyboard = new OnScreenKeyboard(document.body, 'game-keyboard', this.handleTouchKey);
+    this.touchKeyboard = window.matchMedia?.('(pointer: coarse)').matches ?? false; // Touch device, until a hardware key is pressed
+    this.gameKeyboard.setVisible(false);
+    this.notice = new Notice(document.body);
+    this.loadingScreen = new LoadingScreen(document.body);
+    this.assetsReady = false; // Set once images are preloaded
+    this.inputMapper = new InputMapper(this.settings);
+    this.inputMapper.onLatinInput = this.handleLatinInput;
+    this.modeSelect = new ModeSelect(this.elements.homeScreen);
+    this.levelSelect = new LevelSelect(this.elements.homeScreen);
+    this.lessonList = new LessonList(
+      this.elements.homeScreen,
+      this.handleLessonChange,
+      this.handleLessonEdit,
+      (message) => this.notice.show(message)
+    );
+    this.leaderboard = new Leaderboard();
+    this.leaderboardView = new LeaderboardView(this.elements.homeScreen, this.leaderboard);
+    this.recorder = new GameRecorder();
+    this.replayView = new ReplayView(document.body, this.leaderboard, this.watchReplay, this.startRace);
     this.gameInstance = null; // Will hold the current game session instance
+    this.ghost = null;        // Replayer of the best run being raced, if any
+    this.dailyDate = null;    // Day of the daily challenge being played, if any
+    this.seededRun = this.loadSeededRun(); // Seeded run from the URL, so a class plays identical runs
 
     // Track current screen state to manage UI transitions ('home' or 'game')
     this.currentScreen = 'home';
 
     // Create and append global UI buttons for navigation and help
-    this.backButton = this.createButton('back-btn', 'قايتىش', ['btn', 'mt-2']);
-    this.helpButton = this.createButton('helpbox-button', '?', []);
+    this.backButton = this.createButton('back-btn', { message: 'ui.back' }, ['btn', 'mt-2']);
+    this.helpButton = this.createButton('helpbox-button', { text: '?' }, []);
+    this.settingsButton = this.createButton('settings-button', { text: '⚙', ariaLabel: 'ui.settings' }, []);
+    this.masteryButton = this.createButton('mastery-button', { message: 'ui.weakLetters' }, ['btn']);
+    this.replaysButton = this.createButton('replays-button', { message: 'ui.replays' }, ['btn']);
+    this.dailyButton = this.createButton('daily-button', { message: 'daily.play' }, ['btn']);
     document.body.appendChild(this.backButton);
     document.body.appendChild(this.helpButton);
+    document.body.appendChild(this.settingsButton);
+    document.body.appendChild(this.masteryButton);
+    document.body.appendChild(this.replaysButton);
+    document.body.appendChild(this.dailyButton);
 
     // Initialize the HelpBox with callbacks for confirm and close actions
-    this.helpBox = new HelpBox(document.body, this.handleHelpBoxConfirm, this.showHomeScreen);
+    this.helpBox = new HelpBox(
+      document.body,
+      this.handleHelpBoxConfirm,
+      this.showHomeScreen
+    );
+    this.settingsPanel = new SettingsPanel(document.body, this.settings, this.handleSettingsSave);
+    this.audio.detectPronunciation().then(available => {
+      this.settingsPanel.setPronunciationAvailable(available);
+      this.soundControl.update();
+    });
+    this.pauseOverlay = new PauseOverlay(document.body, this.resumeGame, this.handleBackButtonClick);
+    this.lessonEditor = new LessonEditor(document.body, (lesson) => this.lessonList.addLesson(lesson));
 
     // Set up event listeners for user interactions on buttons and logo
     this.setupGlobalListeners();
 
     // Initialize UI state to show the home screen initially
     this.initializeUI();
+
+    // Preload letter images and backgrounds behind the loading screen
+    this.loadAssets();
+
+    // Import a lesson shared as a link, e.g. index.html?lesson=week3.json
+    this.importLessonFromUrl();
+
+    // A seeded link, e.g. index.html?seed=class-7a&mode=words&level=3, gives everyone the same letters
+    if (this.seededRun) {
+      const { seed, mode, level } = this.seededRun;
+      this.notice.show(t('ui.seeded', { seed, mode: t(`mode.${mode}`), level: t('level.name', { id: level }) }));
+    }
+
+    // Cache the game for offline play and offer updates when a new version is ready
+    registerServiceWorker(this.handleAppUpdate);
   }
 
   /**
@@ -50,20 +155,28 @@ class UIManager {
       replayBtn: document.getElementById('replay-btn'),      // Legacy replay button
       rotatingLogo: document.getElementById('rotating-logo'),
       scoreDisplay: document.getElementById('score'),
+      comboDisplay: document.getElementById('combo'),
     };
   }
 
   /**
    * Create a button element with specified attributes and classes.
+   * Labels given as message keys follow the interface language.
    * @param {string} id - Unique ID for the button element.
-   * @param {string} text - Button text content.
+   * @param {Object} label
+   * @param {string} label.message - Message key of the button text.
+   * @param {string} label.text - Untranslated button text, such as an icon.
+   * @param {string} label.ariaLabel - Message key of the accessible name.
    * @param {string[]} classes - CSS classes to add.
    * @returns {HTMLButtonElement} The created button element.
    */
-  createButton(id, text, classes) {
+  createButton(id, { message, text = '', ariaLabel }, classes) {
     const button = document.createElement('button');
     button.id = id;
     button.textContent = text;
+    if (message) button.dataset.i18n = message;
+    if (ariaLabel) button.dataset.i18nAriaLabel = ariaLabel;
+    translateTree(button);
     button.classList.add(...classes);
     button.style.display = 'none'; // Hide buttons initially until shown explicitly
     return button;
@@ -86,6 +199,17 @@ class UIManager {
     // Back and Help buttons
     this.backButton.addEventListener('click', this.handleBackButtonClick);
     this.helpButton.addEventListener('click', this.handleHelpButtonClick);
+    this.settingsButton.addEventListener('click', this.handleSettingsButtonClick);
+    this.masteryButton.addEventListener('click', this.handleMasteryButtonClick);
+    this.replaysButton.addEventListener('click', this.handleReplaysButtonClick);
+    this.dailyButton.addEventListener('click', this.handleDailyButtonClick);
+
+    // Escape pauses and resumes; leaving the tab or window pauses the game
+    document.addEventListener('keydown', this.handleGlobalKeydown);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pauseGame();
+    });
+    window.addEventListener('blur', this.pauseGame);
   }
 
   /**
@@ -110,9 +234,14 @@ class UIManager {
     this.elements.gameArea.style.display = 'block';
     this.elements.scoreDisplay.style.display = 'block';
     this.scoreManager.updateDisplay(false, false); // Update score for current game
+    this.gameKeyboard.setVisible(this.settings.get('showKeyboard') || this.touchKeyboard);
 
     this.backButton.style.display = 'block';
     this.helpButton.style.display = 'none'; // Hide help button during gameplay
+    this.settingsButton.style.display = 'none';
+    this.masteryButton.style.display = 'none';
+    this.replaysButton.style.display = 'none';
+    this.dailyButton.style.display = 'none';
   };
 
   /**
@@ -120,8 +249,15 @@ class UIManager {
    */
   hideGameUI = () => {
     this.elements.gameArea.style.display = 'none';
+    this.gameKeyboard.setVisible(false);
+    this.pauseOverlay.hide();
+    this.scoreManager.breakCombo(); // Hide the combo outside gameplay
     this.backButton.style.display = 'none';
     this.helpButton.style.display = 'block'; // Show help button outside gameplay
+    this.settingsButton.style.display = 'block';
+    this.masteryButton.style.display = 'block';
+    this.replaysButton.style.display = 'block';
+    this.dailyButton.style.display = 'block';
     // Score display visibility controlled by screen-specific functions
   };
 
@@ -149,15 +285,15 @@ class UIManager {
 
   /**
    * Perform all operations required to start a new game session.
+   * @param {Object} options
+   * @param {Object|null} options.race - Recorded best run to race, with its ghost playing along.
+   * @param {string|null} options.daily - Day of the daily challenge to play.
    */
-  actuallyStartGame = () => {
+  actuallyStartGame = ({ race = null, daily = null } = {}) => {
     // Clean up existing game instance if present
-    if (this.gameInstance) {
-      document.removeEventListener('keydown', this.gameInstance.keyHandler);
-      this.gameInstance.resetState();
-      this.gameInstance.clearRender(); // Remove old letter elements
-    }
+    this.stopGame(); // Remove old listeners, timers and letter elements
     this.elements.gameArea.innerHTML = ''; // Clear game area
+    this.dailyDate = daily;
 
     // Reset score for new game
     this.scoreManager.reset();
@@ -165,10 +301,147 @@ class UIManager {
     // Switch UI to game screen
     this.showGameUI();
 
-    // Create a new game instance and start it
-    this.gameInstance = new UyghurTypingGame(this.elements.gameArea, this.handleGameEnd);
-    this.gameInstance.scoreManager = this.scoreManager; // Pass shared score manager
+    // Create a new game instance in the selected practice mode and level
+    this.gameInstance = new UyghurTypingGame(this.elements.gameArea, {
+      ...this.getGameOptions(race, daily),
+      input: this.inputMapper,
+    });
+
+    // Scoring, sound, mastery, the keyboard and the recorder follow the game's events, then plugins hook in
+    [this.scoreManager, this.audio, this.mastery, this.gameKeyboard, this.recorder].forEach(part => part.connect(this.gameInstance));
+    this.gameInstance.on('gameOver', this.handleGameEnd);
+    applyPlugins(this.gameInstance);
+    if (race) this.ghost = this.createGhost(race);
     this.gameInstance.start();
+    this.ghost?.start();
+  };
+
+  /**
+   * Chooses what the next game plays:
+   * - a race plays the recorded run's sequence with its settings;
+   * - the daily challenge has fixed settings and a sequence seeded with the day;
+   * - a seeded run from the URL plays its mode and level with the level's
+   *   own difficulty and a sequence seeded with its seed;
+   * - otherwise the selected mode and level, where a lesson drill brings its
+   *   own mode and its timing wins over the player's settings.
+   * Seeded games leave out the player's difficulty settings and are not
+   * weighted toward the player's weak letters, so every player gets the
+   * same run.
+   * @param {Object|null} race - Recorded best run to race.
+   * @param {string|null} daily - Day of the daily challenge to play.
+   * @returns {Object} Game options for UyghurTypingGame.
+   */
+  getGameOptions(race, daily) {
+    if (race) {
+      return {
+        mode: race.mode,
+        level: getRecordedLevel(race),
+        targets: race.targets,
+        config: race.config,
+        mastery: this.mastery,
+      };
+    }
+    if (daily) {
+      return {
+        mode: DAILY_CHALLENGE.mode,
+        level: getLevel(DAILY_CHALLENGE.level),
+        config: { ...this.settings.getDisplayConfig(), ...DAILY_CHALLENGE.config },
+        random: createDailyRandom(daily),
+      };
+    }
+    if (this.seededRun) {
+      const { seed, mode, level } = this.seededRun;
+      return {
+        mode,
+        level: getLevel(level),
+        config: this.settings.getDisplayConfig(),
+        random: createRandom(seed),
+      };
+    }
+
+    const drill = this.lessonList.getDrill();
+    return {
+      mode: drill?.mode ?? this.modeSelect.getMode(),
+      level: drill ?? this.levelSelect.getLevel(),
+      config: { ...this.settings.getGameConfig(), ...(drill ? getLevelConfig(drill) : {}) },
+      mastery: this.mastery,
+    };
+  }
+
+  /**
+   * Reads the seeded run from the URL. Unknown modes play letters and
+   * unknown levels level 1, as on every other device with the link.
+   * @returns {{seed: string, mode: string, level: number}|null} The run, or null without a seed.
+   */
+  loadSeededRun() {
+    const run = getSeededRun();
+    if (!run) return null;
+    return {
+      seed: run.seed,
+      mode: isPracticeMode(run.mode) ? run.mode : 'letters',
+      level: getLevel(run.level).id,
+    };
+  }
+
+  /**
+   * Creates the ghost of a recorded run in a see-through lane above the
+   * player's letters. It has no particles, sound or score.
+   * @param {Object} recording - Recorded run to race.
+   * @returns {Replayer} The ghost, ready to start.
+   */
+  createGhost(recording) {
+    const lane = document.createElement('div');
+    lane.id = 'ghost-area';
+    lane.setAttribute('aria-hidden', 'true');
+    this.elements.gameArea.appendChild(lane);
+    return new Replayer(lane, recording, { config: { PARTICLES: false } });
+  }
+
+  /**
+   * Stops the current game and the ghost racing it, if any.
+   */
+  stopGame() {
+    this.gameInstance?.stop();
+    this.gameInstance = null;
+    this.ghost?.stop();
+    this.ghost = null;
+    this.dailyDate = null;
+  }
+
+  /**
+   * Plays a recorded game back in the game area. Replays are not scored;
+   * when one ends the list of recordings opens again.
+   * @param {Object} recording - Recording to watch.
+   * @param {number} rate - Playback speed, 1 or 2.
+   */
+  watchReplay = (recording, rate) => {
+    this.stopGame();
+    this.elements.gameArea.innerHTML = '';
+    this.showGameUI();
+    this.elements.scoreDisplay.style.display = 'none';
+
+    const banner = document.createElement('div');
+    banner.id = 'replay-banner';
+    banner.textContent = t('replay.banner', { rate });
+    this.elements.gameArea.appendChild(banner);
+
+    const replayer = new Replayer(this.elements.gameArea, recording, { rate, level: getRecordedLevel(recording) });
+    this.gameInstance = replayer.game;
+    this.gameKeyboard.connect(this.gameInstance);
+    this.gameInstance.on('gameOver', () => {
+      this.stopGame();
+      this.showHomeScreen();
+      this.replayView.show();
+    });
+    replayer.start();
+  };
+
+  /**
+   * Races the ghost of a recorded best run.
+   * @param {Object} recording - Recorded run to race.
+   */
+  startRace = (recording) => {
+    this.actuallyStartGame({ race: recording });
   };
 
   // --- Event Handlers ---
@@ -178,6 +451,7 @@ class UIManager {
    * Shows the help box as a first step before starting the game.
    */
   handleStartGameFlow = () => {
+    if (!this.assetsReady) return;
     this.helpBox.show();
   };
 
@@ -202,25 +476,116 @@ class UIManager {
 
   /**
    * Handles the end of a game session.
-   * Updates score, hides game UI, and shows end screen.
-   * @param {number} currentScore - The score achieved in the finished game.
+   * Updates score and level progress, hides game UI, and shows end screen.
+   * @param {Object} result - Round result with target counts, accuracy, mistakes and speed.
    */
-  handleGameEnd = (currentScore) => {
+  handleGameEnd = (result) => {
+    const currentScore = this.scoreManager.getScore();
     this.scoreManager.saveTotalScore();
+    const { mode, level } = this.gameInstance;
+    const daily = this.dailyDate;
+    let levelMessage;
+    if (daily) levelMessage = this.updateDailyResult(daily, currentScore, result);
+    else if (level.lessonId) levelMessage = this.updateLessonProgress(level, result);
+    else levelMessage = this.updateLevelProgress(level, result);
+    const raceMessage = this.ghost
+      ? t(currentScore > this.ghost.recording.score ? 'replay.ghostBeaten' : 'replay.ghostWon')
+      : '';
+    const previousCpm = getRecentAverageCpm(loadSessionHistory());
+    saveSession(result);
+    // The daily challenge is ranked on its own, not on the leaderboard
+    const { isPersonalBest, ...storedResult } = daily ? {
+      isPersonalBest: false,
+      player: this.leaderboard.getCurrentPlayer(),
+      score: currentScore,
+      date: new Date().toISOString(),
+      mode: 'daily',
+      level: daily,
+      accuracy: result.accuracy,
+    } : this.leaderboard.addResult({
+      score: currentScore,
+      mode,
+      level: level.id,
+      accuracy: result.accuracy,
+    });
+    this.leaderboardView.render();
+    this.scoreManager.submitResult(storedResult);
+    this.recorder.save({ player: storedResult.player, score: currentScore });
 
     this.hideGameUI();
     this.elements.gameOverOverlay.style.display = 'none';
     this.elements.scoreDisplay.style.display = 'none';
 
     // Show custom end screen with current and total scores
-    this.endScreen.show(currentScore, this.scoreManager.getTotalScore());
+    this.endScreen.show(currentScore, this.scoreManager.getTotalScore(), {
+      accuracy: result.accuracy,
+      mistakeCount: result.mistakes.length,
+      cpm: result.cpm,
+      wpm: result.wpm,
+      averageReaction: result.averageReaction,
+      medianReaction: result.medianReaction,
+      slowestLetters: result.slowestLetters,
+      maxCombo: this.scoreManager.getMaxCombo(),
+      previousCpm,
+      message: [levelMessage, raceMessage].filter(Boolean).join(' '),
+      isPersonalBest,
+    });
+
+    this.stopGame();
+  };
+
+  /**
+   * Saves the finished daily challenge and ranks it among the day's players.
+   * @param {string} day - Day of the challenge.
+   * @param {number} score - Final score.
+   * @param {Object} result - Round result with the accuracy.
+   * @returns {string} Message with the player's place for the end screen.
+   */
+  updateDailyResult(day, score, result) {
+    const { rank, count } = finishDailyChallenge(day, {
+      player: this.leaderboard.getCurrentPlayer(),
+      score,
+      accuracy: result.accuracy,
+    });
+    return t('daily.rank', { rank, count });
+  }
 
-    if (this.gameInstance) {
-      document.removeEventListener('keydown', this.gameInstance.keyHandler);
-      this.gameInstance.clearRender();
-      this.gameInstance = null;
+  /**
+   * Unlocks the next level if the finished round passed its level.
+   * @param {Object} level - Level definition the round was played on.
+   * @param {Object} result - Round result with `hits` and `total` target counts.
+   * @returns {string} Message describing the level outcome for the end screen.
+   */
+  updateLevelProgress(level, result) {
+    if (!isLevelPassed(level, result)) {
+      return t('ui.levelRetry');
+    }
+
+    if (!unlockNextLevel(level.id)) return t('ui.levelPassed');
+
+    this.levelSelect.refresh(true);
+    return t('ui.levelUnlocked');
+  }
+
+  /**
+   * Unlocks the next drill of the lesson if the finished round passed its drill.
+   * @param {Object} drill - Lesson drill the round was played on.
+   * @param {Object} result - Round result with `hits` and `total` target counts.
+   * @returns {string} Message describing the drill outcome for the end screen.
+   */
+  updateLessonProgress(drill, result) {
+    if (!isLevelPassed(drill, result)) {
+      return t('ui.drillRetry');
     }
-  };
+
+    const lesson = getLesson(drill.lessonId);
+    if (!recordDrillPassed(drill) || !lesson) return t('ui.drillPassed');
+
+    this.lessonList.refresh(true);
+    return drill.index + 1 < lesson.drills.length
+      ? t('ui.drillUnlocked')
+      : t('ui.lessonComplete');
+  }
 
   /**
    * Handles the Back button click to return to the home screen.
@@ -229,14 +594,62 @@ class UIManager {
   handleBackButtonClick = () => {
     this.scoreManager.saveTotalScore();
 
-    if (this.gameInstance) {
-      document.removeEventListener('keydown', this.gameInstance.keyHandler);
-      this.gameInstance.clearRender();
-      this.gameInstance = null;
-    }
+    this.stopGame();
     this.showHomeScreen();
   };
 
+  /**
+   * Pauses the running game and shows the pause overlay.
+   */
+  pauseGame = () => {
+    if (!this.gameInstance?.running || this.gameInstance.paused) return;
+
+    this.gameInstance.pause();
+    this.ghost?.game.pause();
+    this.pauseOverlay.show();
+  };
+
+  /**
+   * Hides the pause overlay and resumes the game.
+   */
+  resumeGame = () => {
+    this.pauseOverlay.hide();
+    this.gameInstance?.resume();
+    this.ghost?.game.resume();
+  };
+
+  /**
+   * Escape toggles pause during a game.
+   * @param {KeyboardEvent} event
+   */
+  handleGlobalKeydown = (event) => {
+    if (event.isTrusted && this.touchKeyboard && event.key.length === 1) this.handleHardwareKeyboard();
+    if (event.key !== 'Escape' || this.currentScreen !== 'game' || !this.gameInstance) return;
+
+    event.preventDefault();
+    if (this.gameInstance.paused) this.resumeGame();
+    else this.pauseGame();
+  };
+
+  /**
+   * Sends a key pressed on the on-screen keyboard through the same
+   * keydown path as a hardware key, so the input mapper and game treat
+   * both alike.
+   * @param {Object} key - Pressed key as { code, key, shiftKey }.
+   */
+  handleTouchKey = ({ code, key, shiftKey }) => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { code, key, shiftKey, bubbles: true }));
+  };
+
+  /**
+   * A touch device typed on a hardware keyboard: stop showing the on-screen
+   * keyboard unless the player asked for it in the settings.
+   */
+  handleHardwareKeyboard() {
+    this.touchKeyboard = false;
+    if (this.currentScreen === 'game') this.gameKeyboard.setVisible(this.settings.get('showKeyboard'));
+  }
+
   /**
    * Handles Replay button click from legacy game over screen.
    * Hides end screen and restarts game.
@@ -254,6 +667,128 @@ class UIManager {
   handleHelpButtonClick = () => {
     this.helpBox.show();
   };
+
+  /**
+   * Handles the settings button click, shows the settings panel.
+   */
+  handleSettingsButtonClick = () => {
+    this.settingsPanel.show();
+  };
+
+  /**
+   * Applies saved settings that take effect outside the game itself.
+   * Difficulty values are read again when the next game starts.
+   */
+  handleSettingsSave = () => {
+    this.audio.applyVolume();
+    this.soundControl.update();
+  };
+
+  /**
+   * Warns when typed keys look Latin, which means no Uyghur layout is active,
+   * and offers to switch to the built-in layout.
+   */
+  handleLatinInput = () => {
+    this.notice.show(t('ui.latinInput'), {
+      actionLabel: t('ui.useBuiltinLayout'),
+      onAction: () => this.inputMapper.setMode(INPUT_MODES.BUILTIN),
+    });
+  };
+
+  /**
+   * Preloads all game images while the loading screen shows progress,
+   * then makes the home screen interactive. Failed images are reported;
+   * their letters have been left out of practice.
+   */
+  loadAssets = async () => {
+    const { failed, excludedLetters } = await preloadAssets(
+      (done, total) => this.loadingScreen.update(done, total)
+    );
+    this.assetsReady = true;
+    this.loadingScreen.hide();
+
+    if (!failed.length) return;
+    this.notice.show(excludedLetters.length
+      ? t('ui.lettersExcluded', { letters: excludedLetters.join(t('common.listSeparator')) })
+      : t('ui.imagesFailed'));
+  };
+
+  /**
+   * Offers to reload when a new version of the game has been downloaded.
+   * @param {Function} applyUpdate - Activates the new version, which reloads the page.
+   */
+  handleAppUpdate = (applyUpdate) => {
+    this.notice.show(t('ui.updateReady'), {
+      actionLabel: t('ui.update'),
+      onAction: applyUpdate,
+      duration: 0,
+    });
+  };
+
+  /**
+   * A lesson drill replaces the mode and level pickers while it is selected.
+   * @param {Object|null} drill - Selected drill, or null for free practice.
+   */
+  handleLessonChange = (drill) => {
+    this.modeSelect.group.hidden = Boolean(drill);
+    this.levelSelect.group.hidden = Boolean(drill);
+  };
+
+  /**
+   * Opens the lesson editor.
+   * @param {Object|null} lesson - Lesson to edit, or null to create one.
+   */
+  handleLessonEdit = (lesson) => {
+    this.lessonEditor.show(lesson);
+  };
+
+  /**
+   * Imports and selects the lesson named by the `lesson` URL parameter.
+   * A lesson that cannot be loaded is reported; saved lessons stay available.
+   */
+  importLessonFromUrl = async () => {
+    const url = getLessonUrl();
+    if (!url) return;
+
+    try {
+      this.lessonList.addLesson(await fetchLesson(url));
+    } catch (error) {
+      this.notice.show(error.message);
+    }
+  };
+
+  /**
+   * Handles the weak letters button click, shows the mastery heatmap.
+   */
+  handleMasteryButtonClick = () => {
+    this.masteryView.show();
+  };
+
+  /**
+   * Handles the replays button click, shows the recorded games.
+   */
+  handleReplaysButtonClick = () => {
+    this.replayView.show();
+  };
+
+  /**
+   * Starts today's daily challenge, unless the current player has already
+   * started it today.
+   */
+  handleDailyButtonClick = () => {
+    if (!this.assetsReady) return;
+
+    const day = getDailyDate();
+    const player = this.leaderboard.getCurrentPlayer();
+    const played = getDailyResult(day, player);
+    if (played) {
+      this.notice.show(t('daily.played', { score: played.score ?? 0 }));
+      return;
+    }
+
+    startDailyChallenge(day, player);
+    this.actuallyStartGame({ daily: day });
+  };
 }
 
 // Initialize UIManager after DOM is ready to ensure all elements are loaded
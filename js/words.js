@@ -0,0 +1,61 @@
+/**
+ * words.js — Uyghur Vocabulary for Word Practice
+ *
+ * Defines the everyday Uyghur words and short phrases used by the word
+ * practice mode. Entries are plain Arabic-script strings, so the browser
+ * renders them with their proper contextual (joined) letter forms.
+ */
+
+/**
+ * Common single words grouped loosely by topic.
+ */
+const WORDS = [
+  // Greetings and people
+  'سالام', 'رەھمەت', 'ئانا', 'ئاتا', 'بالا', 'دوست', 'ئۇيغۇر',
+  'ئوقۇغۇچى', 'مۇئەللىم',
+
+  // School
+  'مەكتەپ', 'كىتاب', 'قەلەم', 'دەپتەر', 'خەت', 'تىل', 'يېزىق', 'ژۇرنال',
+
+  // Home and town
+  'ئۆي', 'ئىشىك', 'دېرىزە', 'يول', 'شەھەر', 'ۋەتەن', 'كىيىم',
+
+  // Food and drink
+  'نان', 'سۇ', 'چاي', 'پولۇ', 'لەغمەن', 'ئالما', 'ئۈزۈم', 'قوغۇن',
+
+  // Nature and animals
+  'ئاي', 'كۈن', 'يۇلتۇز', 'ئافتاپ', 'تاغ', 'دەريا', 'گۈل', 'ھاۋا',
+  'ئات', 'قوي', 'ئىت', 'مۈشۈك', 'قۇش', 'بېلىق',
+
+  // Seasons and time
+  'باھار', 'ياز', 'كۈز', 'قىش', 'ۋاقىت', 'بۈگۈن', 'ئەتە', 'سەھەر',
+
+  // Colours and everyday words
+  'ئاق', 'قارا', 'قىزىل', 'يېشىل', 'كۆك', 'سېرىق', 'ياخشى', 'مىڭ',
+  'ناخشا', 'ئۇسسۇل', 'پاراڭ',
+];
+
+/**
+ * Short multi-word phrases; the space between words is typed as well.
+ */
+const PHRASES = [
+  'خەير خوش',
+  'ياخشىمۇسىز دوستۇم',
+  'رەھمەت سىزگە',
+  'ئۇيغۇر تىلى',
+  'ياخشى كۈن',
+];
+
+/**
+ * Exported array of all practice words and phrases for external use.
+ */
+export const allWords = [...WORDS, ...PHRASES];
+
+/**
+ * Returns the words and phrases that use only the given letters.
+ * Spaces are always allowed so phrases can match as well.
+ * @param {string[]} letters - Allowed letters.
+ * @returns {string[]} Matching words.
+ */
+export const wordsWithLetters = (letters) =>
+  allWords.filter(word => [...word].every(char => char === ' ' || letters.includes(char)));
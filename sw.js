@@ -0,0 +1,129 @@
+/**
+ * sw.js — Service Worker for Offline Play
+ *
+ * Precaches the app shell (page, styles, scripts) together with every
+ * image listed in assets.js (letter images from letterMap, backgrounds),
+ * so the game is fully playable without a connection once it has been
+ * opened. Other same-origin GET requests, such as pronunciation clips,
+ * are cached as they are fetched.
+ *
+ * Caches are versioned: bump CACHE_VERSION whenever app files change. The
+ * new worker precaches in the background and waits; the page offers a
+ * reload, which activates it and removes the old caches.
+ *
+ * Registered as a module worker so it can read the asset lists from the
+ * game's own modules.
+ */
+
+import { getImageUrls } from './js/assets.js';
+
+const CACHE_VERSION = 'v11';
+const CACHE_PREFIX = 'uyghur-typing-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/**
+ * Page, styles and scripts.
+ */
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/css/base.css',
+  '/js/assets.js',
+  '/js/audio.js',
+  '/js/daily.js',
+  '/js/endscreen.js',
+  '/js/events.js',
+  '/js/game.js',
+  '/js/helpbox.js',
+  '/js/i18n.js',
+  '/js/input.js',
+  '/js/keyboard.js',
+  '/js/leaderboard.js',
+  '/js/leaderboardview.js',
+  '/js/lessoneditor.js',
+  '/js/lessonlist.js',
+  '/js/lessons.js',
+  '/js/letter.js',
+  '/js/levels.js',
+  '/js/levelselect.js',
+  '/js/loadingscreen.js',
+  '/js/mastery.js',
+  '/js/masteryview.js',
+  '/js/messages.js',
+  '/js/modeselect.js',
+  '/js/notice.js',
+  '/js/pauseoverlay.js',
+  '/js/plugins.js',
+  '/js/pwa.js',
+  '/js/random.js',
+  '/js/recorder.js',
+  '/js/replay.js',
+  '/js/replayview.js',
+  '/js/score.js',
+  '/js/settings.js',
+  '/js/settingspanel.js',
+  '/js/soundcontrol.js',
+  '/js/stats.js',
+  '/js/storage.js',
+  '/js/ui.js',
+  '/js/words.js',
+];
+
+/**
+ * Every URL to precache: the app shell plus every image the game uses,
+ * with non-ASCII file names encoded.
+ */
+const PRECACHE_URLS = [...APP_SHELL, ...getImageUrls()].map(encodeURI);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over when the player accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Serves from the cache first and caches successful network responses.
+ * Page loads ignore the query string, so URLs such as
+ * `index.html?scoreEndpoint=...` still load offline.
+ * @param {Request} request - Same-origin GET request.
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    if (request.mode === 'navigate') return cache.match('/index.html');
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,99 @@
+/**
+ * mock-score-server.mjs — Local Mock Server for Score Sync Testing
+ *
+ * A dependency-free Node.js server that stands in for a school's score
+ * endpoint while developing or testing HttpScoreStorage.
+ *
+ *   node tools/mock-score-server.mjs [--port 8787] [--fail-rate 0.5]
+ *
+ * - POST /results stores a game result (duplicates by `id` are ignored).
+ * - GET  /results lists all stored results, highest score first.
+ * - POST /offline and POST /online toggle simulated downtime (503 replies).
+ *
+ * Then open the game with `?scoreEndpoint=http://localhost:8787/results`.
+ */
+
+import http from 'node:http';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const PORT = Number(option('port', process.env.PORT ?? 8787));
+const FAIL_RATE = Number(option('fail-rate', 0)); // Share of POSTs answered with 503
+
+const results = new Map(); // id -> result
+let offline = false;
+
+/**
+ * Send a JSON response with CORS headers so the game can call from any origin.
+ */
+const send = (res, status, body = null) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Type': 'application/json',
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body.
+ */
+const readJSON = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(data));
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'POST' && pathname === '/offline') {
+    offline = true;
+    return send(res, 200, { offline });
+  }
+  if (req.method === 'POST' && pathname === '/online') {
+    offline = false;
+    return send(res, 200, { offline });
+  }
+
+  if (pathname !== '/results') return send(res, 404, { error: 'Not found' });
+
+  if (req.method === 'GET') {
+    return send(res, 200, [...results.values()].sort((a, b) => b.score - a.score));
+  }
+
+  if (req.method === 'POST') {
+    if (offline || Math.random() < FAIL_RATE) return send(res, 503, { error: 'Unavailable' });
+
+    try {
+      const result = await readJSON(req);
+      if (typeof result.score !== 'number') return send(res, 400, { error: 'Missing score' });
+
+      const duplicate = results.has(result.id);
+      results.set(result.id, result);
+      console.log(`${duplicate ? 'duplicate' : 'stored'}: ${result.player} ${result.score}`);
+      return send(res, duplicate ? 200 : 201, { id: result.id });
+    } catch {
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock score server on http://localhost:${PORT}/results`);
+});